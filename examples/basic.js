@@ -6,7 +6,7 @@ var deviceAuth = new GoogleDeviceAuth({
   clientId: "234896418929.apps.googleusercontent.com",
   clientSecret: "aMPwo8xNlNKl7mz-e3y2N6h5",
   scopes: [
-    "https://docs.google.com/feeds/"
+    "https://www.googleapis.com/auth/drive.file"
   ]
 });
 
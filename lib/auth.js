@@ -7,7 +7,17 @@
 var EventEmitter = require("events").EventEmitter,
     _ = require("underscore"),
     util = require("util"),
-    request = require("request");
+    http = require("http"),
+    url = require("url"),
+    crypto = require("crypto"),
+    querystring = require("querystring"),
+    stores = require("./stores"),
+    idtoken = require("./idtoken"),
+    transport = require("./transport"),
+    redact = require("./redact"),
+    scopeCatalogue = require("./scopes"),
+    Token = require("./token"),
+    presenter = require("./presenter");
 
 
 /* CONSTANTS */
@@ -15,9 +25,18 @@ var EventEmitter = require("events").EventEmitter,
 var events = {
   error: "error",
   userCode: "user_code",
+  authUrl: "auth_url",
   newAccessToken: "new_access_token",
   authSuccess: "auth_success",
   refreshSuccess: "refresh_success",
+  revoked: "revoked",
+  tokenInfo: "token_info",
+  scopesAdded: "scopes_added",
+  requestStart: "request_start",
+  requestFinish: "request_finish",
+  pollAttempt: "poll_attempt",
+  stateChange: "state_change",
+  warning: "warning",
   errors: {
     missingClientId: "error.missing_client_id",
     missingScopes: "error.missing_scopes",
@@ -27,7 +46,26 @@ var events = {
     googleError: "error.google_error",
     noUserCode: "error.no_user_code",
     invalidRefreshToken: "error.invalid_refresh_token",
-    invalidScope: "error.invalid_scope"
+    invalidScope: "error.invalid_scope",
+    storeError: "error.store_error",
+    cancelled: "error.cancelled",
+    networkError: "error.network_error",
+    httpError: "error.http_error",
+    invalidResponse: "error.invalid_response",
+    accessDenied: "error.access_denied",
+    expiredToken: "error.expired_token",
+    missingToken: "error.missing_token",
+    invalidAccessToken: "error.invalid_access_token",
+    scopesNarrowed: "error.scopes_narrowed",
+    invalidIdToken: "error.invalid_id_token",
+    missingAccountId: "error.missing_account_id",
+    unknownAccount: "error.unknown_account",
+    decryptionFailed: "error.decryption_failed",
+    authInProgress: "error.auth_in_progress",
+    invalidServiceAccount: "error.invalid_service_account",
+    unsupportedScopes: "error.unsupported_scopes",
+    loopbackError: "error.loopback_error",
+    idTokenUnverified: "error.id_token_unverified"
   }
 };
 
@@ -67,15 +105,133 @@ var errors = {
   invalidScope: {
     code: "invalid_scope",
     string: "Invalid scope provided in options"
+  },
+  storeError: {
+    code: "store_error",
+    string: "Unable to read or write the token store"
+  },
+  cancelled: {
+    code: "cancelled",
+    string: "Request was cancelled"
+  },
+  networkError: {
+    code: "network_error",
+    string: "Unable to connect to Google Auth"
+  },
+  httpError: {
+    code: "http_error",
+    string: "Unexpected HTTP status returned from Google Auth"
+  },
+  invalidResponse: {
+    code: "invalid_response",
+    string: "Unable to parse response from Google Auth"
+  },
+  accessDenied: {
+    code: "access_denied",
+    string: "User denied the authorization request"
+  },
+  expiredToken: {
+    code: "expired_token",
+    string: "Device code expired before the user authorized"
+  },
+  missingToken: {
+    code: "missing_token",
+    string: "No token available"
+  },
+  invalidAccessToken: {
+    code: "invalid_access_token",
+    string: "Access token is invalid or has expired"
+  },
+  scopesNarrowed: {
+    code: "scopes_narrowed",
+    string: "User did not grant all of the requested scopes"
+  },
+  invalidIdToken: {
+    code: "invalid_id_token",
+    string: "Unable to verify the id_token returned by Google"
+  },
+  missingAccountId: {
+    code: "missing_account_id",
+    string: "No account ID supplied and no verified id_token to take one from"
+  },
+  unknownAccount: {
+    code: "unknown_account",
+    string: "No credentials stored for account"
+  },
+  decryptionFailed: {
+    code: "decryption_failed",
+    string: "Stored auth data could not be decrypted"
+  },
+  authInProgress: {
+    code: "auth_in_progress",
+    string: "Another authentication is in progress"
+  },
+  invalidServiceAccount: {
+    code: "invalid_service_account",
+    string: "Unable to sign a service account assertion"
+  },
+  unsupportedScopes: {
+    code: "unsupported_scopes",
+    string: "Scopes cannot be used in the device flow"
+  },
+  loopbackError: {
+    code: "loopback_error",
+    string: "Unable to listen for the loopback redirect"
+  },
+  idTokenUnverified: {
+    code: "id_token_unverified",
+    string: "Unable to fetch the keys needed to verify the id_token"
   }
 };
 
+//States reported by getState()
+var states = {
+  idle: "idle",
+  requestingUserCode: "requesting_user_code",
+  waitingForUser: "waiting_for_user",
+  polling: "polling",
+  exchangingCode: "exchanging_code",
+  refreshing: "refreshing",
+  authorised: "authorised"
+};
+
+//Ways of asking the user for authorisation
+var flows = {
+  device: "device",
+  loopback: "loopback"
+};
+
+var expandScopes = scopeCatalogue.expandScopes;
+
 var defaultOptions = {
-  accountsUrl: "https://accounts.google.com",
-  codeUrl: "/o/oauth2/device/code",
-  tokenUrl: "/o/oauth2/token",
-  grantType: "http://oauth.net/grant_type/device/1.0",
+  accountsUrl: "https://oauth2.googleapis.com",
+  codeUrl: "/device/code",
+  tokenUrl: "/token",
+  revokeUrl: "/revoke",
+  tokenInfoUrl: "/tokeninfo",
+  jwksUrl: "https://www.googleapis.com/oauth2/v3/certs",
+  authorizeUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+  jwksCacheTime: 3600,
+  verifyIdToken: true,
+  validateScopes: true,
+  grantType: "urn:ietf:params:oauth:grant-type:device_code",
+  jwtGrantType: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+  assertionLifetime: 3600,
+  pollInterval: 5,
+  flow: flows.device,
+  loopbackPort: 0,
+  loopbackTimeout: 300,
   autoAttemptReAuth: true,
+  autoRefresh: false,
+  refreshMargin: 300,
+  refreshRetryDelay: 5,
+  refreshMaxRetryDelay: 300,
+  clockSkew: 60,
+  requestRetries: 3,
+  requestRetryDelay: 1,
+  requestMaxRetryDelay: 30,
+  transport: transport.httpTransport,
+  logger: null,
   scopes: []
 };
 
@@ -94,7 +250,7 @@ var defaultOptions = {
  *   clientId: "<insert client id>",
  *   clientSecret: "<insert client secret>",
  *   scopes: [
- *     "https://www.googleapis.com/auth/drive"
+ *     "https://www.googleapis.com/auth/drive.file"
  *   ]
  * });
  *
@@ -122,9 +278,31 @@ var defaultOptions = {
  * @param {Object} options - An object of option overrides.
  *    @param {String} options.clientId - Application Client ID from Google Console
  *    @param {String} options.clientSecret - Applicaton Client Secret from Google Console
- *    @param {Array} scopes - Array of scope strings. For more info on scopes, see the Discovery API https://developers.google.com/discovery/v1/getting_started
+ *    @param {Array} scopes - Array of scope strings, either full scope URLs or short names from the scope catalogue (e.g. drive.file). For more info on scopes, see the Discovery API https://developers.google.com/discovery/v1/getting_started
+ *    @param {Boolean} validateScopes - (default true) Check scopes against the catalogue of scopes allowed in the device flow before requesting a user code
  *    @param {String} refreshToken - (optional) Specify a refresh token if you already have one
+ *    @param {Number} pollInterval - (default 5) Seconds between token polls if Google does not specify an interval
+ *    @param {String} flow - (default "device") How the user is asked for authorisation: "device" shows a user code, "loopback" emits a URL to open in a browser and receives the redirect on a local port
+ *    @param {String} authorizeUrl - (default https://accounts.google.com/o/oauth2/v2/auth) Google's authorisation endpoint, used by the loopback flow
+ *    @param {Number} loopbackPort - (default 0) Port the loopback flow listens on for the redirect. A free port is picked by default
+ *    @param {Number} loopbackTimeout - (default 300) Seconds to wait for the loopback redirect before giving up
  *    @param {Boolean} autoAttemptReAuth - (default true) Allow authentication to be reattempted if a token refresh fails
+ *    @param {Object} store - (optional) Token store with get/set/clear methods used to persist auth data (see lib/stores.js)
+ *    @param {Boolean} autoRefresh - (default false) Automatically refresh the access token shortly before it expires
+ *    @param {Number} refreshMargin - (default 300) Seconds before expiry at which automatic refreshes are made, but no earlier than half the remaining lifetime
+ *    @param {Number} refreshRetryDelay - (default 5) Seconds to wait before retrying a failed automatic refresh. Doubles on each failure
+ *    @param {Number} refreshMaxRetryDelay - (default 300) Upper limit in seconds for the automatic refresh retry delay
+ *    @param {Number} clockSkew - (default 60) Seconds before expiry at which getValidAccessToken() treats a token as expired
+ *    @param {Boolean} verifyIdToken - (default true) Verify id_tokens against Google's signing keys and expose their claims as authData.user
+ *    @param {Object} jwks - (optional) JSON Web Key Set (or array of keys) to verify id_tokens with instead of fetching Google's keys from options.jwksUrl
+ *    @param {Number} jwksCacheTime - (default 3600) Seconds that fetched signing keys are cached for
+ *    @param {Function} transport - (optional) Function used to make HTTP requests (see lib/transport.js). Defaults to a core https implementation
+ *    @param {Number} requestRetries - (default 3) Number of times a request is retried after a network error or 5xx response
+ *    @param {Number} requestRetryDelay - (default 1) Base delay in seconds between retries. Doubles on each attempt, with jitter
+ *    @param {Number} requestMaxRetryDelay - (default 30) Upper limit in seconds for the retry delay
+ *    @param {Object} logger - (optional) Object with debug and warn methods (e.g. console) that receives diagnostics with secrets redacted
+ *    @param {Object} serviceAccount - (optional) Parsed service account key JSON. Tokens are then obtained with a signed JWT assertion instead of the device flow
+ *    @param {String} subject - (optional) Email address of the user to impersonate with a service account (domain-wide delegation)
  */
 function GoogleDeviceAuth(options) {
   //Apply default options
@@ -133,12 +311,31 @@ function GoogleDeviceAuth(options) {
   //Make empty auth data object
   this.authData = {};
 
+  //Incremented on cancel so responses to earlier requests can be recognised and ignored
+  this._generation = 0;
+
+  //Numbers requests so start and finish events can be matched up
+  this._requestCount = 0;
+
+  this._log("debug", "Created", this.options);
+
+  //Restore previously persisted tokens. Errors are emitted on the next tick so listeners can be bound first
+  this._state = states.idle;
+  if (this.options.store) {
+    try {
+      this._restoreAuthData();
+    } catch (err) {
+      process.nextTick(this._emitError.bind(this, this._storeErrorType(err), err));
+    }
+  }
+  this._state = this._restingState();
+
   //Poll Google Auth endpoint when user codes are returned
   this.on(events.userCode, this._startAuthPoll.bind(this));
 
-  //Auto attempt reauth if allowed
-  if (this.options.autoAttemptReAuth) {
-    this.on(events.errors.invalidRefreshToken, this.auth.bind(this));
+  //Schedule automatic refreshes if enabled
+  if (this.options.autoRefresh) {
+    this.startAutoRefresh();
   }
 }
 
@@ -151,12 +348,43 @@ util.inherits(GoogleDeviceAuth, EventEmitter);
 /**
  * Start the authentication process.
  * If a refresh token is present in the config options, a refresh will be attempted first.
+ * If an authentication or refresh is already in progress, the call joins it rather than starting another one.
+ * @param {Object} options - (optional) Request options
+ *    @param {AbortSignal} options.signal - Signal that cancels the request when aborted. Ignored when joining a request in progress
  */
-GoogleDeviceAuth.prototype.auth = function() {
+GoogleDeviceAuth.prototype.auth = function(options) {
+
+  if (this._joinInProgress()) {
+    return;
+  }
+
+  //Cancel straight away if the signal has already been aborted
+  if (this._bindSignal(options && options.signal)) {
+    return;
+  }
+
+  //Pick up any token persisted since the instance was created
+  if (this.options.store && !this.options.refreshToken) {
+    try {
+      this._restoreAuthData();
+    } catch (err) {
+      return this._emitError(this._storeErrorType(err), err);
+    }
+  }
+
+  //Service accounts authorise themselves with a signed assertion, there is no user or refresh token involved
+  if (this.options.serviceAccount) {
+    if (this.options.scopes.length === 0) {
+      return this._emitError(errors.missingScopes);
+    }
+    this._log("debug", "Requesting service account token", { scopes: this.options.scopes });
+    this._setState(states.refreshing);
+    return this._requestServiceAccountToken();
+  }
 
   //If refresh token is present and the config lets us, attempt a refresh first 
   if (this.options.refreshToken) {
-    return this.refresh();
+    return this.refresh(options);
   }
 
   //Check options
@@ -169,9 +397,13 @@ GoogleDeviceAuth.prototype.auth = function() {
   if (!this.options.clientSecret) {
     return this._emitError(errors.missingClientSecret);
   }
+  var unsupported = this._unsupportedScopes(this.options.scopes);
+  if (unsupported) {
+    return this._emitError(errors.unsupportedScopes, unsupported);
+  }
 
   //Start auth process
-  this._requestUserCode();
+  this._startAuthorization();
 
 };
 
@@ -179,12 +411,24 @@ GoogleDeviceAuth.prototype.auth = function() {
  * Attempt a token refresh.
  * If no refresh token is provided in the constructor options, an authentication request will be made first.
  * If the refresh fails and autoAttemptReAuth is true, an authentication request will be attempted.
+ * If an authentication or refresh is already in progress, the call joins it rather than starting another one.
+ * @param {Object} options - (optional) Request options
+ *    @param {AbortSignal} options.signal - Signal that cancels the request when aborted. Ignored when joining a request in progress
+ *    @param {Boolean} options.reAuth - (default true) Set to false to skip autoAttemptReAuth for this refresh. Ignored when joining a request in progress
  */
-GoogleDeviceAuth.prototype.refresh = function() {
+GoogleDeviceAuth.prototype.refresh = function(options) {
 
   //If refresh token is not present, attempt an auth first
   if (!this.options.refreshToken) {
-    return this.auth();
+    return this.auth(options);
+  }
+
+  if (this._joinInProgress()) {
+    return;
+  }
+
+  if (this._bindSignal(options && options.signal)) {
+    return;
   }
 
   //Check options
@@ -196,10 +440,255 @@ GoogleDeviceAuth.prototype.refresh = function() {
   }
 
   //Start refresh process
+  this._log("debug", "Refreshing access token");
+  this._reAuthOnInvalidGrant = this.options.autoAttemptReAuth && !(options && options.reAuth === false);
+  this._setState(states.refreshing);
+  if (this.options.store && typeof this.options.store.lock === "function") {
+    return this._lockedRefresh();
+  }
   this._requestTokenRefresh();
 
 };
 
+/**
+ * Make sure the given scopes have been granted, running the device flow for the union of the granted and new scopes if any are missing.
+ * A scopesAdded event is emitted once the scopes are known to be granted, describing the scopes that were added (if any).
+ * Emits an auth in progress error if another authentication or refresh is running, since its grant may not cover the new scopes.
+ * @param {Array} scopes - Scopes the application needs
+ * @param {Object} options - (optional) Request options
+ *    @param {AbortSignal} options.signal - Signal that cancels the request when aborted
+ */
+GoogleDeviceAuth.prototype.addScopes = function(scopes, options) {
+  if (this._isBusy()) {
+    return this._emitError(errors.authInProgress, { state: this._state });
+  }
+
+  if (this._bindSignal(options && options.signal)) {
+    return;
+  }
+
+  var granted = this._grantedScopes();
+  if (_.difference(expandScopes(scopes), granted).length === 0) {
+    this._endRequest();
+    return this.emit(events.scopesAdded, {
+      added: [],
+      granted: granted
+    });
+  }
+
+  //Check options
+  if (!this.options.serviceAccount && !this.options.clientId) {
+    return this._emitError(errors.missingClientId);
+  }
+  if (!this.options.serviceAccount && !this.options.clientSecret) {
+    return this._emitError(errors.missingClientSecret);
+  }
+  var unsupported = !this.options.serviceAccount && this._unsupportedScopes(scopes);
+  if (unsupported) {
+    return this._emitError(errors.unsupportedScopes, unsupported);
+  }
+
+  //Google only issues one grant per device flow, so ask for everything the application needs.
+  //The scopes are restored when the request ends unless a token is received, so a denied request is not asked for again
+  this._scopesBeforeAdd = this.options.scopes;
+  this.options.scopes = _.union(this.options.scopes, scopes);
+  this._log("debug", "Requesting additional scopes", { granted: granted, scopes: this.options.scopes });
+  this._previousScopes = granted;
+  if (this.options.serviceAccount) {
+    this._setState(states.refreshing);
+    return this._requestServiceAccountToken();
+  }
+  this._startAuthorization();
+};
+
+
+
+/**
+ * Promise-returning variant of auth().
+ * Resolves with the token data once an access token has been obtained (via either a refresh or a full authentication)
+ * and rejects with the same coded errors that are emitted as events. Existing event listeners continue to fire as normal.
+ * @param  {Object} options - (optional) Request options, see auth()
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.authenticate = function(options) {
+  return this._awaitEvent(events.newAccessToken, this.auth, options);
+};
+
+/**
+ * Promise-returning variant of refresh().
+ * @param  {Object} options - (optional) Request options, see refresh()
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.refreshAsync = function(options) {
+  return this._awaitEvent(events.newAccessToken, this.refresh, options);
+};
+
+/**
+ * Promise-returning variant of addScopes().
+ * @param  {Array} scopes - Scopes the application needs
+ * @param  {Object} options - (optional) Request options, see addScopes()
+ * @return {Promise} - Resolves with the added and granted scopes
+ */
+GoogleDeviceAuth.prototype.ensureScopes = function(scopes, options) {
+  //Reject without emitting, the error event would also reject the callers waiting for the request in progress
+  if (this._isBusy()) {
+    return Promise.reject(this._createError(errors.authInProgress, { state: this._state }));
+  }
+  return this._awaitEvent(events.scopesAdded, function(options) {
+    this.addScopes(scopes, options);
+  }, options);
+};
+
+/**
+ * Resolves with the current access token, authenticating first if no token has been retrieved yet.
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.getAccessToken = function() {
+  if (this.authData.access_token) {
+    return Promise.resolve(this.authData.access_token);
+  }
+  return this._obtainToken().then(function(data) {
+    return data.access_token;
+  });
+};
+
+/**
+ * Resolves with an access token that is valid for at least the given number of seconds.
+ * If the cached token is missing or about to expire, exactly one refresh (or authentication) is made
+ * and its result is shared between all concurrent callers.
+ * @param  {Number} skew - (optional) Seconds of validity required, defaults to options.clockSkew
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.getValidAccessToken = function(skew) {
+  if (this._hasValidAccessToken(skew)) {
+    return Promise.resolve(this.authData.access_token);
+  }
+  return this._obtainToken().then(function(data) {
+    return data.access_token;
+  });
+};
+
+/**
+ * Revoke the current refresh token (or access token if there is no refresh token) so it can no longer be used.
+ * On success all auth data is cleared, including the configured store, and a revoked event is emitted.
+ */
+GoogleDeviceAuth.prototype.revoke = function() {
+  this._requestRevoke((function(err) {
+    //Revoking is not part of an authentication or refresh, so any request in progress carries on
+    if (err) {
+      this._emitErrorEvents(err);
+    }
+  }).bind(this));
+};
+
+/**
+ * Promise-returning variant of revoke().
+ * Failures only reject the returned promise, they are not emitted as error events
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.revokeAsync = function() {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    self._requestRevoke(function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+};
+
+/**
+ * Looks up an access token with Google's tokeninfo endpoint, e.g. to find out whether it is still live and which scopes it carries.
+ * Resolves with the tokeninfo response, which is also emitted as a tokenInfo event.
+ * Failures only reject the returned promise, they are not emitted as error events
+ * @param  {String} accessToken - (optional) Token to look up, defaults to the current access token
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype.getTokenInfo = function(accessToken) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    self._requestTokenInfo(accessToken || self.authData.access_token, function(err, data) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(data);
+    });
+  });
+};
+
+/**
+ * Cancel an in-progress authentication or refresh.
+ * Pending poll timers are cleared, responses to requests already sent are ignored and a cancelled error is emitted.
+ * @return {Boolean} - Whether there was anything to cancel
+ */
+GoogleDeviceAuth.prototype.cancel = function() {
+  if (!this._isBusy()) {
+    return false;
+  }
+  this._generation++;
+  clearTimeout(this._pollTimer);
+  clearTimeout(this._retryTimer);
+  this._pollTimer = null;
+  this._retryTimer = null;
+  this._userCode = null;
+  this._emitError(errors.cancelled);
+  return true;
+};
+
+/**
+ * Makes a request to a Google API with the current access token in the Authorization header.
+ * If the API rejects the token with a 401 the token is refreshed once and the request retried.
+ * Rejects with an invalid refresh token error if the refresh token has been rejected and the device needs to be authorised again,
+ * or a missing refresh token error if it has not been authorised. It never starts an authentication itself.
+ * @param  {Object} options - Request options passed to the transport (method, url, headers, form or body)
+ * @return {Promise} - Resolves with the transport response (status, headers and body)
+ */
+GoogleDeviceAuth.prototype.authorizedRequest = function(options) {
+  var self = this;
+  var send = function(accessToken) {
+    return self._sendAuthorized(options, accessToken);
+  };
+  return this._accessTokenForRequest().then(send).then(function(response) {
+    if (response.status !== 401) {
+      return response;
+    }
+    return self._refreshForRequest().then(function(data) {
+      return send(data.access_token);
+    });
+  });
+};
+
+/**
+ * Returns the current state of the instance, one of GoogleDeviceAuth.states:
+ * idle (no token), requesting_user_code, waiting_for_user (between token polls), polling (token poll in flight),
+ * refreshing or authorised (a refresh token or unexpired access token is held and nothing is in progress).
+ * @return {String}
+ */
+GoogleDeviceAuth.prototype.getState = function() {
+  return this._state;
+};
+
+/**
+ * Start refreshing the access token automatically, options.refreshMargin seconds before it expires.
+ * Failed refreshes caused by network or Google errors are retried with an increasing delay.
+ * Called automatically on construction if options.autoRefresh is true.
+ */
+GoogleDeviceAuth.prototype.startAutoRefresh = function() {
+  this._autoRefresh = true;
+  this._refreshRetryDelay = null;
+  this._scheduleRefresh();
+};
+
+/**
+ * Stop any automatic refreshes and clear pending timers so the process is free to exit
+ */
+GoogleDeviceAuth.prototype.stopAutoRefresh = function() {
+  this._autoRefresh = false;
+  clearTimeout(this._refreshTimer);
+  this._refreshTimer = null;
+};
+
 
 
 /** INTERNAL METHODS **/
@@ -218,7 +707,239 @@ GoogleDeviceAuth.prototype._requestTokenRefresh = function() {
       grant_type: "refresh_token"
     }
   };
-  this._makeRequest(options, this._handleRefreshResponse.bind(this));
+  this._makeRequest(options, this._unlessCancelled(this._handleRefreshResponse));
+};
+
+/**
+ * Internal - Refresh while holding the store's lock, so processes sharing the store do not refresh at the same time.
+ * Once the lock is held the store is read again: if another process has refreshed in the meantime its token is used instead.
+ * The lock is released when the request ends.
+ */
+GoogleDeviceAuth.prototype._lockedRefresh = function() {
+  var store = this.options.store;
+  store.lock(this._unlessCancelled(function(err, release) {
+    if (err) {
+      return this._emitError(errors.storeError, err);
+    }
+    this._releaseLock = release;
+
+    var stored;
+    try {
+      stored = store.get();
+    } catch (getErr) {
+      return this._emitError(this._storeErrorType(getErr), getErr);
+    }
+    if (!stored) {
+      return this._requestTokenRefresh();
+    }
+    //The refresh token may have been rotated by the other process
+    this.options.refreshToken = stored.refresh_token || this.options.refreshToken;
+    var refreshedElsewhere = stored.access_token && stored.access_token !== this.authData.access_token &&
+      stored.expires_at - this.options.refreshMargin * 1000 > Date.now();
+    if (!refreshedElsewhere) {
+      return this._requestTokenRefresh();
+    }
+
+    this._log("debug", "Using access token refreshed by another process");
+    var token = Token.fromJSON(stored);
+    this._storeAuthData(token);
+    this.emit(events.refreshSuccess, token);
+  }, function(err, release) {
+    //Cancelled while waiting for the lock
+    if (release) {
+      release();
+    }
+  }));
+};
+
+/**
+ * Internal - Exchange a signed service account assertion for an access token
+ */
+GoogleDeviceAuth.prototype._requestServiceAccountToken = function() {
+  var key = this.options.serviceAccount;
+  var url = this.options.accountsUrl + this.options.tokenUrl;
+  var now = Math.floor(Date.now() / 1000);
+  var claims = {
+    iss: key.client_email,
+    scope: scopeCatalogue.resolveScopes(this.options.scopes).join(" "),
+    aud: url,
+    iat: now,
+    exp: now + this.options.assertionLifetime
+  };
+  if (this.options.subject) {
+    claims.sub = this.options.subject;
+  }
+
+  var assertion;
+  try {
+    if (!key.client_email || !key.private_key) {
+      throw new Error("Service account key must contain client_email and private_key");
+    }
+    assertion = idtoken.sign(claims, key.private_key, key.private_key_id);
+  } catch (err) {
+    return this._emitError(errors.invalidServiceAccount, err);
+  }
+
+  var options = {
+    method: "POST",
+    url: url,
+    form: {
+      grant_type: this.options.jwtGrantType,
+      assertion: assertion
+    }
+  };
+  this._makeRequest(options, this._unlessCancelled(this._handleServiceAccountResponse));
+};
+
+/**
+ * Internal - Initiate a revocation request for the refresh token, or the access token if there is no refresh token
+ * @param {Function} callback - Called with an error, if any
+ */
+GoogleDeviceAuth.prototype._requestRevoke = function(callback) {
+  var token = this.options.refreshToken || this.authData.access_token;
+  if (!token) {
+    return callback(this._createError(errors.missingToken));
+  }
+  var options = {
+    method: "POST",
+    url: this.options.accountsUrl + this.options.revokeUrl,
+    form: {
+      token: token
+    }
+  };
+  this._makeRequest(options, this._handleRevokeResponse.bind(this, callback), this._failWith(callback));
+};
+
+/**
+ * Internal - Initiate a tokeninfo request
+ * @param {String} accessToken - Access token to look up
+ * @param {Function} callback - Called with an error or the tokeninfo response
+ */
+GoogleDeviceAuth.prototype._requestTokenInfo = function(accessToken, callback) {
+  if (!accessToken) {
+    return callback(this._createError(errors.missingToken));
+  }
+  var options = {
+    method: "GET",
+    url: this.options.accountsUrl + this.options.tokenInfoUrl + "?" + querystring.stringify({
+      access_token: accessToken
+    })
+  };
+  this._makeRequest(options, this._handleTokenInfoResponse.bind(this, callback), this._failWith(callback));
+};
+
+/**
+ * Internal - Asks the user for authorisation with the configured flow
+ */
+GoogleDeviceAuth.prototype._startAuthorization = function() {
+  if (this.options.flow === flows.loopback) {
+    this._log("debug", "Starting loopback flow", { scopes: this.options.scopes });
+    this._setState(states.waitingForUser);
+    return this._startLoopback();
+  }
+  this._log("debug", "Requesting user code", { scopes: this.options.scopes });
+  this._setState(states.requestingUserCode);
+  this._requestUserCode();
+};
+
+/**
+ * Internal - Starts listening for the loopback redirect, then emits the authorisation URL for the user to open.
+ * The URL carries a PKCE (S256) challenge for a random verifier and a random state, which the redirect must echo back
+ */
+GoogleDeviceAuth.prototype._startLoopback = function() {
+  var verifier = idtoken.base64UrlEncode(crypto.randomBytes(32));
+  var loopback = this._loopback = {
+    verifier: verifier,
+    challenge: idtoken.base64UrlEncode(crypto.createHash("sha256").update(verifier).digest()),
+    state: idtoken.base64UrlEncode(crypto.randomBytes(16)),
+    server: http.createServer(),
+    timer: null
+  };
+  var self = this;
+  loopback.server.on("request", function(req, res) {
+    self._handleLoopbackRequest(loopback, req, res);
+  });
+  loopback.server.on("error", function(err) {
+    if (self._loopback === loopback) {
+      self._emitError(errors.loopbackError, err);
+    }
+  });
+  loopback.server.listen(this.options.loopbackPort, "127.0.0.1", function() {
+    //Cancelled before the listener was ready
+    if (self._loopback !== loopback) {
+      return loopback.server.close();
+    }
+    loopback.redirectUri = "http://127.0.0.1:" + loopback.server.address().port;
+    loopback.timer = setTimeout(function() {
+      self._emitError(errors.authorizationTimeout);
+    }, self.options.loopbackTimeout * 1000);
+
+    var data = {
+      url: self.options.authorizeUrl + "?" + querystring.stringify({
+        client_id: self.options.clientId,
+        redirect_uri: loopback.redirectUri,
+        response_type: "code",
+        scope: scopeCatalogue.resolveScopes(self.options.scopes).join(" "),
+        code_challenge: loopback.challenge,
+        code_challenge_method: "S256",
+        state: loopback.state,
+        access_type: "offline"
+      }),
+      redirect_uri: loopback.redirectUri
+    };
+    self._log("debug", "Waiting for the loopback redirect", { redirect_uri: loopback.redirectUri });
+    self.emit(events.authUrl, data);
+  });
+};
+
+/**
+ * Internal - Handles a request to the loopback listener. Requests without the expected state (e.g. for a favicon, or from another page) are turned away
+ * @param {Object} loopback - Listener, PKCE verifier and state of the flow the request was made to
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+GoogleDeviceAuth.prototype._handleLoopbackRequest = function(loopback, req, res) {
+  var query = url.parse(req.url, true).query;
+  var respond = function(status, message) {
+    res.writeHead(status, {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Connection": "close"
+    });
+    res.end(message);
+  };
+  if (this._loopback !== loopback || query.state !== loopback.state || !(query.code || query.error)) {
+    return respond(400, "Unexpected request");
+  }
+
+  this._closeLoopback();
+  if (query.error) {
+    respond(200, "Authorisation failed. You can close this window.");
+    return this._emitError(query.error === "access_denied" ? errors.accessDenied : errors.googleError, _.pick(query, "error", "error_description"));
+  }
+  respond(200, "Authorisation complete. You can close this window.");
+  this._setState(states.exchangingCode);
+  this._requestCodeExchange(query.code, loopback);
+};
+
+/**
+ * Internal - Exchanges the authorisation code from the loopback redirect for tokens
+ * @param {String} code - Authorisation code
+ * @param {Object} loopback - The flow the code was received by
+ */
+GoogleDeviceAuth.prototype._requestCodeExchange = function(code, loopback) {
+  var options = {
+    method: "POST",
+    url: this.options.accountsUrl + this.options.tokenUrl,
+    form: {
+      client_id: this.options.clientId,
+      client_secret: this.options.clientSecret,
+      code: code,
+      code_verifier: loopback.verifier,
+      redirect_uri: loopback.redirectUri,
+      grant_type: "authorization_code"
+    }
+  };
+  this._makeRequest(options, this._unlessCancelled(this._handleCodeExchangeResponse));
 };
 
 /**
@@ -230,10 +951,10 @@ GoogleDeviceAuth.prototype._requestUserCode = function() {
     url: this.options.accountsUrl + this.options.codeUrl,
     form: {
       client_id: this.options.clientId,
-      scope: this.options.scopes.join(" ")
+      scope: scopeCatalogue.resolveScopes(this.options.scopes).join(" ")
     }
   };
-  this._makeRequest(options, this._handleUserCodeResponse.bind(this));
+  this._makeRequest(options, this._unlessCancelled(this._handleUserCodeResponse));
 };
 
 /**
@@ -245,8 +966,11 @@ GoogleDeviceAuth.prototype._startAuthPoll = function() {
     return this._emitError(errors.noUserCode);
   }
 
-  //Start polling
+  //Start polling, replacing any earlier poll loop
+  clearTimeout(this._pollTimer);
+  this._log("debug", "Waiting for the user to authorise", { verification_url: this._userCode.verification_url, expires_in: this._userCode.expires_in });
   this._pollStartTime = new Date();
+  this._pollAttempts = 0;
   this._pollAuthEndpoint();
 };
 
@@ -260,6 +984,15 @@ GoogleDeviceAuth.prototype._pollAuthEndpoint = function() {
     return this._emitError(errors.authorizationTimeout);
   }
 
+  this._pollAttempts++;
+  var attempt = {
+    attempt: this._pollAttempts,
+    interval: this._userCode.interval
+  };
+  this._log("debug", "Polling for token", attempt);
+  this.emit(events.pollAttempt, attempt);
+  this._setState(states.polling);
+
   //Request options
   var options = {
     method: "POST",
@@ -267,13 +1000,13 @@ GoogleDeviceAuth.prototype._pollAuthEndpoint = function() {
     form: {
       client_id: this.options.clientId,
       client_secret: this.options.clientSecret,
-      code: this._userCode.device_code,
+      device_code: this._userCode.device_code,
       grant_type: this.options.grantType
     }
   };
 
   //Make poll request
-  this._makeRequest(options, this._handlePollResponse.bind(this));
+  this._makeRequest(options, this._unlessCancelled(this._handlePollResponse));
 };
 
 /**
@@ -283,17 +1016,26 @@ GoogleDeviceAuth.prototype._pollAuthEndpoint = function() {
 GoogleDeviceAuth.prototype._handlePollResponse = function(data) {
   //If access token present then request was successful
   if (data.access_token) {
-    this._storeAuthData(data);
-    this.emit(events.authSuccess, data);
+    this._acceptTokenResponse(data, events.authSuccess);
   }
 
   //Else if authorization pending error or slow down error, try again
   else if (data.error && (data.error == "authorization_pending" || data.error == "slow_down")) {
-    //If error is slow down, increment the poll interval by 1
+    //If error is slow down, increase the poll interval by 5 seconds as required by RFC 8628
     if (data.error == "slow_down") {
-      this._userCode.interval++;
+      this._userCode.interval += 5;
     }
-    setTimeout(this._pollAuthEndpoint.bind(this), this._userCode.interval);
+    this._schedulePoll();
+  }
+
+  //User declined the request
+  else if (data.error && data.error == "access_denied") {
+    this._emitError(errors.accessDenied, data);
+  }
+
+  //Device code expired before the user completed authorization
+  else if (data.error && data.error == "expired_token") {
+    this._emitError(errors.expiredToken, data);
   }
 
   //Otherwise, emit Google error
@@ -302,6 +1044,103 @@ GoogleDeviceAuth.prototype._handlePollResponse = function(data) {
   }
 };
 
+/**
+ * Internal - Schedules the next poll of the token endpoint after the current interval
+ */
+GoogleDeviceAuth.prototype._schedulePoll = function() {
+  this._setState(states.waitingForUser);
+  this._pollTimer = setTimeout(this._pollAuthEndpoint.bind(this), this._userCode.interval * 1000);
+};
+
+/**
+ * Internal - Verifies the id_token in a successful token response (if present) before storing it and emitting success with a Token
+ * @param {Object} data - JSON data from request
+ * @param {String} successEvent - Event to emit once the data has been stored
+ */
+GoogleDeviceAuth.prototype._acceptTokenResponse = function(data, successEvent) {
+  //Created straight away so the expiry is measured from receipt. Refresh responses do not repeat the refresh token, so it is carried over
+  var token = new Token(_.defaults({}, data, { refresh_token: this.options.refreshToken }));
+  if (!token.id_token || !this.options.verifyIdToken) {
+    this._storeAuthData(token);
+    return this.emit(successEvent, token);
+  }
+  this._verifyIdToken(token.id_token, this._unlessCancelled(function(err, claims) {
+    //The device code or refresh token has been used up by now, so the token is kept if only the keys could not be fetched
+    if (err && err.code === errors.idTokenUnverified.code) {
+      this._emitWarning(errors.idTokenUnverified, err.data);
+      delete this.authData.user;
+      this._storeAuthData(token);
+      return this.emit(successEvent, token);
+    }
+    if (err) {
+      return this._emitError(errors.invalidIdToken, err);
+    }
+    this.authData.user = claims;
+    this._storeAuthData(token);
+    this.emit(successEvent, token);
+  }));
+};
+
+/**
+ * Internal - Verifies the signature and claims of an id_token
+ * @param {String} idToken - Encoded id_token
+ * @param {Function} callback - Called with an error or the verified claims. The error is an id_token unverified error
+ *                              if the signing keys could not be fetched
+ */
+GoogleDeviceAuth.prototype._verifyIdToken = function(idToken, callback) {
+  var self = this;
+  var kid;
+  try {
+    kid = idtoken.decode(idToken).header.kid;
+  } catch (err) {
+    return callback(err);
+  }
+  this._getSigningKeys(kid, function(err, keys) {
+    if (err) {
+      return callback(self._createError(errors.idTokenUnverified, err));
+    }
+    var claims;
+    try {
+      claims = idtoken.verify(idToken, keys, {
+        audience: self.options.clientId,
+        clockSkew: self.options.clockSkew
+      });
+    } catch (err) {
+      return callback(err);
+    }
+    callback(null, claims);
+  });
+};
+
+/**
+ * Internal - Gets the keys used to sign id_tokens, from the options, the cache or Google.
+ * Cached keys are refetched if they do not include the requested key ID, since Google rotates its keys.
+ * @param {String} kid - Key ID the id_token was signed with
+ * @param {Function} callback - Called with an error or the array of JSON Web Keys
+ */
+GoogleDeviceAuth.prototype._getSigningKeys = function(kid, callback) {
+  var self = this;
+  if (this.options.jwks) {
+    return callback(null, _.isArray(this.options.jwks) ? this.options.jwks : this.options.jwks.keys);
+  }
+  var cache = this._jwksCache;
+  if (cache && cache.expiresAt > Date.now() && _.findWhere(cache.keys, { kid: kid })) {
+    return callback(null, cache.keys);
+  }
+  var options = {
+    method: "GET",
+    url: this.options.jwksUrl
+  };
+  //Failures are reported as an unverified id_token by the request being verified
+  this._makeRequest(options, function(data) {
+    self._jwksCache = {
+      keys: data.keys || [],
+      expiresAt: Date.now() + self.options.jwksCacheTime * 1000
+    };
+    callback(null, self._jwksCache.keys);
+  }, this._failWith(callback));
+};
+
 /**
  * Internal - Handle response from token refresh
  * @param {Object} data - JSON data from request
@@ -309,12 +1148,25 @@ GoogleDeviceAuth.prototype._handlePollResponse = function(data) {
 GoogleDeviceAuth.prototype._handleRefreshResponse = function(data) {
   //On success, emit refresh success
   if (data.access_token) {
-    this._storeAuthData(data);
-    this.emit(events.refreshSuccess, data);
+    this._acceptTokenResponse(data, events.refreshSuccess);
   }
   //If invalid token, emit invalid refresh token error
   else if (data.error && data.error == "invalid_grant") {
-    this._emitError(errors.invalidRefreshToken, data);
+    //Drop the rejected token so a re-authentication does not attempt the same refresh again
+    delete this.options.refreshToken;
+    var storeError = this._clearStore();
+    //The refresh is over even if a re-authentication follows, so auth() does not join it
+    this._releaseStoreLock();
+    this._setState(this._restingState());
+    if (storeError) {
+      this._emitErrorEvents(storeError);
+    }
+    if (!this._reAuthOnInvalidGrant) {
+      return this._emitError(errors.invalidRefreshToken, data);
+    }
+    //Start the new authentication before reporting the error, so promises waiting for the refresh wait for it instead
+    this.auth();
+    this._emitErrorEvents(this._createError(errors.invalidRefreshToken, data));
   }
   //Otherwise emit generic Google error
   else {
@@ -322,6 +1174,70 @@ GoogleDeviceAuth.prototype._handleRefreshResponse = function(data) {
   }
 };
 
+/**
+ * Internal - Handle response from the loopback flow's code exchange
+ * @param {Object} data - JSON data from request
+ */
+GoogleDeviceAuth.prototype._handleCodeExchangeResponse = function(data) {
+  if (!data.access_token) {
+    return this._emitError(errors.googleError, data);
+  }
+  this._acceptTokenResponse(data, events.authSuccess);
+};
+
+/**
+ * Internal - Handle response from service account token request
+ * @param {Object} data - JSON data from request
+ */
+GoogleDeviceAuth.prototype._handleServiceAccountResponse = function(data) {
+  if (!data.access_token) {
+    return this._emitError(errors.googleError, data);
+  }
+  //There is no consent screen for service accounts, so every requested scope is granted
+  data.scope = data.scope || scopeCatalogue.resolveScopes(this.options.scopes).join(" ");
+  this._acceptTokenResponse(data, events.authSuccess);
+};
+
+/**
+ * Internal - Handle response from token revocation
+ * @param {Function} callback - Called with an error, if any
+ * @param {Object} data - JSON data from request
+ */
+GoogleDeviceAuth.prototype._handleRevokeResponse = function(callback, data) {
+  if (data.error) {
+    return callback(this._createError(errors.googleError, data));
+  }
+
+  //Forget everything about the revoked grant
+  clearTimeout(this._refreshTimer);
+  this._refreshTimer = null;
+  this.authData = {};
+  delete this.options.refreshToken;
+  var storeError = this._clearStore();
+  //Without a token the instance is no longer authorised. A request in progress sets the state itself when it ends
+  if (!this._isBusy()) {
+    this._setState(this._restingState());
+  }
+  this.emit(events.revoked);
+  //The grant is revoked either way, but the caller should know the stored copy is still there
+  callback(storeError);
+};
+
+/**
+ * Internal - Handle response from tokeninfo request
+ * @param {Function} callback - Called with an error or the tokeninfo response
+ * @param {Object} data - JSON data from request
+ */
+GoogleDeviceAuth.prototype._handleTokenInfoResponse = function(callback, data) {
+  if (data.error && (data.error == "invalid_token" || data.error == "invalid_request")) {
+    return callback(this._createError(errors.invalidAccessToken, data));
+  } else if (data.error) {
+    return callback(this._createError(errors.googleError, data));
+  }
+  this.emit(events.tokenInfo, data);
+  callback(null, data);
+};
+
 /**
  * Internal - Handle response from user code request
  * @param {Object} data - JSON data from request
@@ -334,8 +1250,14 @@ GoogleDeviceAuth.prototype._handleUserCodeResponse = function(data) {
     return this._emitError(errors.googleError, data);
   }
 
+  //Fill in defaults and aliases so consumers can rely on both the legacy and RFC 8628 field names
+  data.interval = data.interval || this.options.pollInterval;
+  data.verification_uri = data.verification_uri || data.verification_url;
+  data.verification_url = data.verification_url || data.verification_uri;
+
   //Store usercode
   this._userCode = data;
+  this._setState(states.waitingForUser);
   //Emit user code event
   this.emit(events.userCode, data);
 };
@@ -346,52 +1268,704 @@ GoogleDeviceAuth.prototype._handleUserCodeResponse = function(data) {
 
 /**
  * Stores authentication data returned by requests to Google authentication
- * Also triggers a newAccessToken event with the full data object
+ * Also triggers a newAccessToken event with the token
+ * @param  {Token} token - Token from a successful auth/refresh request
+ */
+GoogleDeviceAuth.prototype._storeAuthData = function(token) {
+  var previousScopes = this._previousScopes;
+  var data = token.toJSON();
+  this._log("debug", "Access token received", data);
+  //expires_in stays alongside the absolute expiry for code that reads it, but only expires_at is persisted
+  _.extend(this.authData, _.omit(data, "expires_at"), _.pick(token, "expires_in"));
+  if (token.expires_at) {
+    this.authData.expires_at = token.expires_at;
+  }
+  this.options.refreshToken = token.refresh_token || this.options.refreshToken;
+  //The added scopes have been granted, so they are kept
+  this._scopesBeforeAdd = null;
+  //Write before ending the request, since that releases any lock held on the store
+  var storeError = this._writeStore();
+  this._endRequest();
+  this._scheduleRefresh();
+  this.emit(events.newAccessToken, token);
+  this._checkGrantedScopes(token);
+  if (previousScopes) {
+    var granted = this._grantedScopes();
+    this.emit(events.scopesAdded, {
+      added: _.difference(granted, previousScopes),
+      granted: granted
+    });
+  }
+  //A failed write does not invalidate the new token, so report it after the token and scopes have been delivered
+  if (storeError) {
+    this._emitErrorEvents(this._createError(this._storeErrorType(storeError), storeError));
+  }
+};
+
+/**
+ * Compares the scopes granted in a token response with the requested scopes.
+ * Users can untick scopes on the consent screen, in which case a scopesNarrowed warning is emitted.
  * @param  {Object} data - Data returned from successful auth/refresh request
  */
-GoogleDeviceAuth.prototype._storeAuthData = function(data) {
-  _.extend(this.authData, data);
-  this.options.refreshToken = data.refresh_token || this.options.refreshToken;
-  this.emit(events.newAccessToken, data);
+GoogleDeviceAuth.prototype._checkGrantedScopes = function(data) {
+  if (!data.scope) {
+    return;
+  }
+  var granted = expandScopes(data.scope.split(" "));
+  var requested = expandScopes(this.options.scopes);
+  var missing = _.difference(requested, granted);
+  if (missing.length) {
+    this._emitWarning(errors.scopesNarrowed, {
+      requested: requested,
+      granted: granted,
+      missing: missing
+    });
+  }
+};
+
+/**
+ * Lists the scopes granted to the current token.
+ * Google includes them in token responses; if they are not known, the requested scopes are assumed to have been granted to any refresh token.
+ * @return {Array} - Full scope URLs
+ */
+GoogleDeviceAuth.prototype._grantedScopes = function() {
+  if (this.authData.scope) {
+    return expandScopes(this.authData.scope.split(" "));
+  }
+  return this.options.refreshToken ? expandScopes(this.options.scopes) : [];
 };
 
 /**
- * Utility - Wrapper for making post requests. Handles errors and JSON parsing
+ * Checks scopes against the catalogue of scopes Google allows in the device flow, unless options.validateScopes is false or the loopback flow is used
+ * @param  {Array} scopes - Scopes as given in the options
+ * @return {Object} - The disallowed and unknown scopes, or null if all of them can be used
+ */
+GoogleDeviceAuth.prototype._unsupportedScopes = function(scopes) {
+  //Only the device flow is restricted
+  if (!this.options.validateScopes || this.options.flow === flows.loopback) {
+    return null;
+  }
+  var result = scopeCatalogue.checkScopes(scopes);
+  return result.disallowed.length || result.unknown.length ? result : null;
+};
+
+/**
+ * Loads auth data from the configured store.
+ * The refresh token is always restored (unless one was passed in the options), the access token only if it has not expired.
+ */
+GoogleDeviceAuth.prototype._restoreAuthData = function() {
+  var stored = this.options.store.get();
+  if (!stored) {
+    return;
+  }
+  if (stored.access_token && stored.expires_at > Date.now()) {
+    //The relative expiry is worked out again from the stored timestamp
+    _.extend(this.authData, stored, _.pick(new Token(stored), "expires_in"));
+  } else if (stored.refresh_token) {
+    this.authData.refresh_token = stored.refresh_token;
+  }
+  this.options.refreshToken = this.options.refreshToken || stored.refresh_token;
+};
+
+/**
+ * Writes the current auth data through to the configured store
+ * @return {Error} - The error thrown by the store, if any
+ */
+GoogleDeviceAuth.prototype._writeStore = function() {
+  if (!this.options.store) {
+    return;
+  }
+  try {
+    //expires_in is relative to when the token was received, so it would be wrong by the time the data is read back
+    this.options.store.set(_.extend(_.omit(this.authData, "expires_in"), {
+      refresh_token: this.options.refreshToken
+    }));
+  } catch (err) {
+    return err;
+  }
+};
+
+/**
+ * Picks the error type for an error thrown by a store, so failed decryption can be told apart from I/O problems
+ * @param  {Error} err - Error thrown by the store
+ * @return {Object} - Error type
+ */
+GoogleDeviceAuth.prototype._storeErrorType = function(err) {
+  return err && err.code === errors.decryptionFailed.code ? errors.decryptionFailed : errors.storeError;
+};
+
+/**
+ * Removes persisted auth data from the configured store
+ * @return {Error} - Coded store error if the store could not be cleared, otherwise null
+ */
+GoogleDeviceAuth.prototype._clearStore = function() {
+  if (!this.options.store) {
+    return null;
+  }
+  try {
+    this.options.store.clear();
+  } catch (err) {
+    return this._createError(this._storeErrorType(err), err);
+  }
+  return null;
+};
+
+/**
+ * Schedules the next automatic refresh based on the expiry of the current access token
+ * @param {Number} delay - (optional) Milliseconds to wait instead, used when retrying a failed refresh
+ */
+GoogleDeviceAuth.prototype._scheduleRefresh = function(delay) {
+  clearTimeout(this._refreshTimer);
+  this._refreshTimer = null;
+  if (!this._autoRefresh) {
+    return;
+  }
+  if (delay === undefined) {
+    if (!this.authData.expires_at) {
+      return;
+    }
+    delay = this._refreshDelay();
+  }
+  this._refreshTimer = setTimeout(this._runScheduledRefresh.bind(this), delay);
+};
+
+/**
+ * Works out when the current access token should be refreshed, options.refreshMargin seconds before it expires.
+ * The refresh is never made before half of the token's remaining lifetime has passed: with a margin as long as the
+ * lifetime every refresh would otherwise schedule the next one straight away
+ * @return {Number} - Milliseconds to wait
+ */
+GoogleDeviceAuth.prototype._refreshDelay = function() {
+  var remaining = Math.max(0, this.authData.expires_at - Date.now());
+  return Math.max(remaining - this.options.refreshMargin * 1000, remaining / 2);
+};
+
+/**
+ * Performs an automatic refresh. On success _storeAuthData schedules the next one, on failure a retry is scheduled
+ */
+GoogleDeviceAuth.prototype._runScheduledRefresh = function() {
+  var self = this;
+  this._refreshTimer = null;
+  this._obtainToken().then(function() {
+    self._refreshRetryDelay = null;
+  }, function(err) {
+    if (!self._autoRefresh || !self._isTransientError(err)) {
+      return;
+    }
+    //Back off exponentially up to the configured maximum
+    var delay = self._refreshRetryDelay ? self._refreshRetryDelay * 2 : self.options.refreshRetryDelay;
+    self._refreshRetryDelay = Math.min(delay, self.options.refreshMaxRetryDelay);
+    self._scheduleRefresh(self._refreshRetryDelay * 1000);
+  });
+};
+
+/**
+ * Determines whether a failed request is worth retrying
+ * @param  {Error} err - Error emitted by the failed request
+ * @return {Boolean}
+ */
+GoogleDeviceAuth.prototype._isTransientError = function(err) {
+  return _.contains([
+    errors.googleError.code,
+    errors.networkError.code,
+    errors.httpError.code,
+    errors.invalidResponse.code
+  ], err.code);
+};
+
+/**
+ * Utility - Wrapper for making requests through the configured transport. Handles errors, retries and JSON parsing.
+ * OAuth error responses (JSON bodies with an error property) are passed to the callback whatever their HTTP status.
+ * Network errors and 5xx responses are retried with exponential backoff before being emitted as coded errors.
+ * Requests made with their own error handler are not part of the authentication or refresh in progress, so cancel() leaves them alone
+ * and their errors are not emitted.
  * @param  {Object}   options  - Object containing options for the request
  * @param  {Function} callback - callback to be passed the request data
+ * @param  {Function} fail     - (optional) Called with the error type and data instead of emitting the error
+ * @param  {Number}   attempt  - (internal) Number of attempts made so far
  */
-GoogleDeviceAuth.prototype._makeRequest = function(options, callback) {
-  request.post(options, (function(err, response, body) {
+GoogleDeviceAuth.prototype._makeRequest = function(options, callback, fail, attempt) {
+  var generation = this._generation;
+  var standalone = !!fail;
+  fail = fail || this._emitError.bind(this);
+  attempt = attempt || 0;
+
+  this._send(options, attempt, (function(err, response) {
+    //Ignore responses to requests made before a cancel
+    if (!standalone && generation !== this._generation) {
+      return;
+    }
+
+    var retryable = err || response.status >= 500;
+    if (retryable && attempt < this.options.requestRetries) {
+      var delay = this._retryDelay(attempt);
+      this._log("warn", "Retrying request", { url: options.url, attempt: attempt + 1, delay: delay });
+      var retry = this._makeRequest.bind(this, options, callback, standalone ? fail : null, attempt + 1);
+      if (standalone) {
+        setTimeout(retry, delay);
+      } else {
+        this._retryTimer = setTimeout(retry, delay);
+      }
+      return;
+    }
+
     //Check for request errors
     if (err) {
-      return this.emit(events.error, err);
+      return fail(errors.networkError, err);
     }
 
-    //Parse body into JSON
-    var data = JSON.parse(body);
+    //Parse body into JSON. Some endpoints (e.g. revoke) return an empty body on success
+    var data;
+    try {
+      data = response.body ? JSON.parse(response.body) : {};
+    } catch (parseError) {
+      data = null;
+    }
+
+    var isObject = data !== null && typeof data === "object";
+    var success = response.status >= 200 && response.status < 300;
 
-    callback(data);
+    //OAuth errors are reported with 4xx statuses, leave those to the response handlers
+    if (isObject && (success || data.error)) {
+      return callback(data);
+    }
+
+    var errorData = {
+      status: response.status,
+      body: response.body
+    };
+    if (!success) {
+      return fail(errors.httpError, errorData);
+    }
+    fail(errors.invalidResponse, errorData);
+  }).bind(this));
+};
+
+/**
+ * Utility - Builds an error handler for _makeRequest that passes a coded error to a callback
+ * @param  {Function} callback - Called with the coded error
+ * @return {Function}
+ */
+GoogleDeviceAuth.prototype._failWith = function(callback) {
+  return (function(type, data) {
+    callback(this._createError(type, data));
+  }).bind(this);
+};
+
+/**
+ * Utility - Sends a request through the transport, emitting requestStart and requestFinish events with secrets redacted
+ * @param {Object} options - Transport request options
+ * @param {Number} attempt - Number of attempts made before this one
+ * @param {Function} callback - Transport callback
+ */
+GoogleDeviceAuth.prototype._send = function(options, attempt, callback) {
+  var start = Date.now();
+  var request = redact.redact({
+    id: ++this._requestCount,
+    method: options.method,
+    url: options.url,
+    attempt: attempt
+  });
+  this._log("debug", "Request started", _.extend({ form: options.form }, request));
+  this.emit(events.requestStart, request);
+
+  this.options.transport(options, (function(err, response) {
+    var finished = _.extend({
+      status: err ? null : response.status,
+      duration: Date.now() - start
+    }, request);
+    if (err) {
+      finished.error = err.message;
+    }
+    this._log(err ? "warn" : "debug", "Request finished", finished);
+    this.emit(events.requestFinish, finished);
+    callback(err, response);
   }).bind(this));
 };
 
 /**
- * Utility - Emits an application error event with data if required
+ * Utility - Calculates the delay before retrying a request, using exponential backoff with jitter
+ * @param  {Number} attempt - Number of attempts made so far
+ * @return {Number} - Delay in milliseconds
+ */
+GoogleDeviceAuth.prototype._retryDelay = function(attempt) {
+  var delay = Math.min(this.options.requestRetryDelay * Math.pow(2, attempt), this.options.requestMaxRetryDelay) * 1000;
+  //Randomise between half and the full delay so retries from many devices do not line up
+  return delay / 2 + Math.random() * delay / 2;
+};
+
+/**
+ * Utility - Sends a request through the transport with a bearer token
+ * @param  {Object} options - Request options
+ * @param  {String} accessToken
+ * @return {Promise} - Resolves with the transport response, rejects with a network error
+ */
+GoogleDeviceAuth.prototype._sendAuthorized = function(options, accessToken) {
+  var self = this;
+  var requestOptions = _.extend({ method: "GET" }, options, {
+    headers: _.extend({}, options.headers, {
+      Authorization: "Bearer " + accessToken
+    })
+  });
+  return new Promise(function(resolve, reject) {
+    self._send(requestOptions, 0, function(err, response) {
+      if (err) {
+        return reject(self._createError(errors.networkError, err));
+      }
+      resolve(response);
+    });
+  });
+};
+
+/**
+ * Utility - Whether the cached access token is valid for at least the given number of seconds
+ * @param  {Number} skew - (optional) Seconds of validity required, defaults to options.clockSkew
+ * @return {Boolean}
+ */
+GoogleDeviceAuth.prototype._hasValidAccessToken = function(skew) {
+  if (skew === undefined) {
+    skew = this.options.clockSkew;
+  }
+  var expiresAt = this.authData.expires_at;
+  return !!this.authData.access_token && (!expiresAt || expiresAt - skew * 1000 > Date.now());
+};
+
+/**
+ * Utility - Resolves with a valid access token for authorizedRequest(). Like getValidAccessToken(), except that an
+ * expired token is refreshed without re-authenticating, see _refreshForRequest()
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype._accessTokenForRequest = function() {
+  if (this._hasValidAccessToken()) {
+    return Promise.resolve(this.authData.access_token);
+  }
+  return this._refreshForRequest().then(function(data) {
+    return data.access_token;
+  });
+};
+
+/**
+ * Utility - Refreshes the access token for authorizedRequest(), after it expired or an API rejected it.
+ * Unlike refreshAsync() this does not start a re-authentication if the refresh token is rejected,
+ * since that needs the user and the caller should decide what to do. If it joins a refresh that does re-authenticate,
+ * it rejects straight away rather than waiting for the user. Without a refresh token it rejects with a missing refresh token error
+ * instead of authorising, except for service accounts, which sign a new assertion. Concurrent callers share one refresh.
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype._refreshForRequest = function() {
+  var self = this;
+  if (this._pendingRefresh) {
+    return this._pendingRefresh;
+  }
+  if (!this.options.refreshToken && !this.options.serviceAccount) {
+    return Promise.reject(this._createError(errors.missingRefreshToken));
+  }
+  var clear = function() {
+    self._pendingRefresh = null;
+  };
+  this._pendingRefresh = new Promise(function(resolve, reject) {
+    var onInvalid = function(err) {
+      reject(err);
+    };
+    var cleanup = function() {
+      self.removeListener(events.errors.invalidRefreshToken, onInvalid);
+    };
+    self.once(events.errors.invalidRefreshToken, onInvalid);
+    self.refreshAsync({ reAuth: false }).then(function(data) {
+      cleanup();
+      resolve(data);
+    }, function(err) {
+      cleanup();
+      reject(err);
+    });
+  });
+  this._pendingRefresh.then(clear, clear);
+  return this._pendingRefresh;
+};
+
+/**
+ * Utility - Single-flight wrapper around authenticate(). Concurrent callers share one in-progress request
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype._obtainToken = function() {
+  var self = this;
+  if (!this._pendingToken) {
+    var clear = function() {
+      self._pendingToken = null;
+    };
+    this._pendingToken = this.authenticate();
+    this._pendingToken.then(clear, clear);
+  }
+  return this._pendingToken;
+};
+
+/**
+ * Utility - Runs the given method and settles a promise with the outcome.
+ * Listeners are removed once the promise settles so repeated calls do not leak them.
+ * @param  {String}   event   - Event that signals success, its data is used to resolve the promise
+ * @param  {Function} method  - Method to call on the instance to start the request
+ * @param  {Object}   options - (optional) Request options passed to the method
+ * @return {Promise}
+ */
+GoogleDeviceAuth.prototype._awaitEvent = function(event, method, options) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    function cleanup() {
+      self.removeListener(event, onSuccess);
+      self.removeListener(events.error, onError);
+    }
+    function onSuccess(data) {
+      cleanup();
+      resolve(data);
+    }
+    function onError(err) {
+      //An invalid refresh token is reported after any re-authentication has started, so keep waiting for it
+      if (err.code === errors.invalidRefreshToken.code && self._isBusy()) {
+        return;
+      }
+      //Refused calls do not affect the request being waited for
+      if (err.code === errors.authInProgress.code) {
+        return;
+      }
+      cleanup();
+      reject(err);
+    }
+    self.on(event, onSuccess);
+    self.on(events.error, onError);
+    method.call(self, options);
+  });
+};
+
+/**
+ * Utility - Wraps a response handler so that it is skipped if cancel() is called before the response arrives
+ * @param  {Function} handler - Response handler method
+ * @param  {Function} cancelled - (optional) Called with the same arguments instead of the handler if the request was cancelled
+ * @return {Function}
+ */
+GoogleDeviceAuth.prototype._unlessCancelled = function(handler, cancelled) {
+  var generation = this._generation;
+  return (function() {
+    if (generation === this._generation) {
+      handler.apply(this, arguments);
+    } else if (cancelled) {
+      cancelled.apply(this, arguments);
+    }
+  }).bind(this);
+};
+
+/**
+ * Utility - Cancels the current request when the given signal is aborted
+ * @param  {AbortSignal} signal - (optional) Signal passed to auth() or refresh()
+ * @return {Boolean} - True if the signal has already been aborted
+ */
+GoogleDeviceAuth.prototype._bindSignal = function(signal) {
+  if (!signal || signal === this._signal) {
+    return false;
+  }
+  if (signal.aborted) {
+    this._emitError(errors.cancelled);
+    return true;
+  }
+  this._unbindSignal();
+  this._signal = signal;
+  this._onAbort = this.cancel.bind(this);
+  signal.addEventListener("abort", this._onAbort);
+  return false;
+};
+
+/**
+ * Utility - Removes the abort listener added by _bindSignal
+ */
+GoogleDeviceAuth.prototype._unbindSignal = function() {
+  if (this._signal) {
+    this._signal.removeEventListener("abort", this._onAbort);
+    this._signal = null;
+  }
+};
+
+/**
+ * Utility - Marks the current request as finished
+ */
+GoogleDeviceAuth.prototype._endRequest = function() {
+  this._previousScopes = null;
+  if (this._scopesBeforeAdd) {
+    this.options.scopes = this._scopesBeforeAdd;
+    this._scopesBeforeAdd = null;
+  }
+  this._unbindSignal();
+  this._closeLoopback();
+  this._releaseStoreLock();
+  this._setState(this._restingState());
+};
+
+/**
+ * Utility - Stops the loopback listener and its timeout, if the loopback flow is waiting for a redirect
+ */
+GoogleDeviceAuth.prototype._closeLoopback = function() {
+  var loopback = this._loopback;
+  this._loopback = null;
+  if (!loopback) {
+    return;
+  }
+  clearTimeout(loopback.timer);
+  //If it is not listening yet, the listen callback closes it
+  if (loopback.server.listening) {
+    loopback.server.close();
+  }
+};
+
+/**
+ * Utility - Releases the store lock taken by _lockedRefresh, if it is held
+ */
+GoogleDeviceAuth.prototype._releaseStoreLock = function() {
+  var release = this._releaseLock;
+  this._releaseLock = null;
+  if (release) {
+    release();
+  }
+};
+
+/**
+ * Utility - Moves to a new state, emitting a stateChange event
+ * @param {String} state - One of states
+ */
+GoogleDeviceAuth.prototype._setState = function(state) {
+  if (state === this._state) {
+    return;
+  }
+  var change = {
+    state: state,
+    previous: this._state
+  };
+  this._state = state;
+  this._log("debug", "State changed", change);
+  this.emit(events.stateChange, change);
+};
+
+/**
+ * Utility - The state to return to when nothing is in progress
+ * @return {String}
+ */
+GoogleDeviceAuth.prototype._restingState = function() {
+  var accessTokenValid = this.authData.access_token && !(this.authData.expires_at <= Date.now());
+  return this.options.refreshToken || accessTokenValid ? states.authorised : states.idle;
+};
+
+/**
+ * Utility - Whether an authentication or refresh is in progress
+ * @return {Boolean}
+ */
+GoogleDeviceAuth.prototype._isBusy = function() {
+  return this._state !== states.idle && this._state !== states.authorised;
+};
+
+/**
+ * Utility - Joins the authentication or refresh in progress, if any. Its outcome is emitted as usual
+ * @return {Boolean} - True if a request is in progress
+ */
+GoogleDeviceAuth.prototype._joinInProgress = function() {
+  if (!this._isBusy()) {
+    return false;
+  }
+  this._log("debug", "Joining request in progress", { state: this._state });
+  return true;
+};
+
+/**
+ * Utility - Ends the authentication or refresh in progress with an error, emitting it with data if required.
+ * Only for errors of the request that owns the state: other failures go to their own callbacks or _emitErrorEvents
  * @param  {Object} type - Error type object containing the code and error string
  * @param  {Object} data - (optional) Any additional data to be attached to the error
  */
 GoogleDeviceAuth.prototype._emitError = function(type, data) {
+  //Auth in progress errors are about a call that was refused, not the request in progress
+  if (type !== errors.authInProgress) {
+    this._endRequest();
+  }
+  this._emitErrorEvents(this._createError(type, data));
+};
+
+/**
+ * Utility - Emits a coded error on the specific error event and the generic error event
+ * @param  {Error} error - Error built by _createError
+ */
+GoogleDeviceAuth.prototype._emitErrorEvents = function(error) {
+  this._log("warn", "Error: " + error.code, error.data);
+  this.emit("error." + error.code, error);
+  this.emit(events.error, error);
+};
+
+/**
+ * Utility - Emits a coded error that does not stop the current request on the specific error event and the warning event
+ * @param  {Object} type - Error type object containing the code and error string
+ * @param  {Object} data - (optional) Any additional data to be attached to the error
+ */
+GoogleDeviceAuth.prototype._emitWarning = function(type, data) {
+  var error = this._createError(type, data);
+  this._log("warn", "Warning: " + type.code, data);
+  this.emit("error." + type.code, error);
+  this.emit(events.warning, error);
+};
+
+/**
+ * Utility - Passes a message to options.logger, redacting secrets from the data
+ * @param {String} level - Logger method, debug or warn
+ * @param {String} message
+ * @param {Object} data - (optional) Data to log with the message
+ */
+GoogleDeviceAuth.prototype._log = function(level, message, data) {
+  var logger = this.options.logger;
+  if (!logger || typeof logger[level] !== "function") {
+    return;
+  }
+  if (data === undefined) {
+    logger[level]("google-device-auth: " + message);
+  } else {
+    logger[level]("google-device-auth: " + message, redact.redact(data));
+  }
+};
+
+/**
+ * Utility - Builds an Error object with a code and optional data
+ * @param  {Object} type - Error type object containing the code and error string
+ * @param  {Object} data - (optional) Any additional data to be attached to the error
+ * @return {Error}
+ */
+GoogleDeviceAuth.prototype._createError = function(type, data) {
   var error = new Error(type.string);
   error.code = type.code;
   if (data) {
     error.data = data;
   }
-  this.emit("error." + type.code, error);
-  this.emit(events.error, error);
+  return error;
 };
 
 //Attatch constants to main class for transparency
 GoogleDeviceAuth.events = events;
 GoogleDeviceAuth.errors = errors;
+GoogleDeviceAuth.states = states;
+GoogleDeviceAuth.flows = flows;
+GoogleDeviceAuth.Token = Token;
 GoogleDeviceAuth.defaultOptions = defaultOptions;
+GoogleDeviceAuth.MemoryStore = stores.MemoryStore;
+GoogleDeviceAuth.FileStore = stores.FileStore;
+GoogleDeviceAuth.AccountStore = stores.AccountStore;
+GoogleDeviceAuth.EncryptedStore = stores.EncryptedStore;
+GoogleDeviceAuth.scopes = scopeCatalogue;
+GoogleDeviceAuth.createTransport = transport.createTransport;
+GoogleDeviceAuth.renderQrCode = presenter.renderQrCode;
+GoogleDeviceAuth.presentUserCode = presenter.presentUserCode;
+GoogleDeviceAuth.redact = redact.redact;
+
+//The fake server is only needed in tests, so it is not loaded until it is used
+Object.defineProperty(GoogleDeviceAuth, "FakeGoogleServer", {
+  enumerable: true,
+  get: function() {
+    return require("./fakeserver");
+  }
+});
 
 module.exports = GoogleDeviceAuth;
+
+//Required after exporting since the manager builds on the main class
+GoogleDeviceAuth.AccountManager = require("./manager");
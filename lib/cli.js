@@ -0,0 +1,391 @@
+/**
+ * Command-line interface for logging in, refreshing, revoking and printing tokens
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var fs = require("fs"),
+    path = require("path"),
+    _ = require("underscore"),
+    GoogleDeviceAuth = require("./auth");
+
+
+/* CONSTANTS */
+
+//Exit codes for each application error, so shell scripts can tell failures apart
+var exitCodes = {
+  success: 0,
+  unexpected: 1,
+  usage: 2,
+  missingClientId: 10,
+  missingScopes: 11,
+  missingClientSecret: 12,
+  missingRefreshToken: 13,
+  authorizationTimeout: 14,
+  googleError: 15,
+  noUserCode: 16,
+  invalidRefreshToken: 17,
+  invalidScope: 18,
+  storeError: 19,
+  cancelled: 20,
+  networkError: 21,
+  httpError: 22,
+  invalidResponse: 23,
+  accessDenied: 24,
+  expiredToken: 25,
+  missingToken: 26,
+  invalidAccessToken: 27,
+  scopesNarrowed: 28,
+  invalidIdToken: 29,
+  missingAccountId: 30,
+  unknownAccount: 31,
+  decryptionFailed: 32,
+  authInProgress: 33,
+  invalidServiceAccount: 34,
+  unsupportedScopes: 35,
+  loopbackError: 36,
+  idTokenUnverified: 37
+};
+
+var usage = [
+  "Usage: google-device-auth <command> [options]",
+  "",
+  "Commands:",
+  "  login         Authorise this device (prints a URL and code to enter in a browser)",
+  "  refresh       Refresh the stored access token",
+  "  print-token   Print a valid access token, refreshing it if necessary",
+  "  revoke        Revoke the stored tokens and delete them",
+  "  status        Show whether this device is authorised",
+  "",
+  "Options:",
+  "  --client-id <id>          Google client ID (env GOOGLE_CLIENT_ID)",
+  "  --client-secret <secret>  Google client secret (env GOOGLE_CLIENT_SECRET)",
+  "  --scope <scope>           Scope to request, e.g. drive.file. May be repeated (env GOOGLE_SCOPES, space separated)",
+  "  --token-file <path>       File to store tokens in (env GOOGLE_DEVICE_AUTH_TOKEN_FILE)",
+  "                            Default ~/.google-device-auth/tokens.json",
+  "  --config <path>           JSON config file with clientId, clientSecret, scopes and tokenFile",
+  "                            (env GOOGLE_DEVICE_AUTH_CONFIG) Default ~/.google-device-auth/config.json",
+  "  --force                   login: discard any stored tokens and authorise again",
+  "  --qr                      login: also show the verification URL as a QR code",
+  "  --help                    Show this message",
+  "",
+  "Set GOOGLE_DEVICE_AUTH_PASSPHRASE to encrypt the token file with a passphrase.",
+  "",
+  "Exit codes:",
+  "  0 success, 1 unexpected error, 2 usage error, 10 and above map to GoogleDeviceAuth.errors",
+  "  (see README.md for the full list)"
+].join("\n");
+
+var commands = ["login", "refresh", "print-token", "revoke", "status"];
+
+var booleanFlags = ["force", "help", "qr"];
+
+var valueFlags = ["client-id", "client-secret", "scope", "token-file", "config"];
+
+
+/**
+ * Runs the command line interface
+ * @param  {Array}  argv - Arguments after the script name
+ * @param  {Object} context - (optional) Process context
+ *    @param {Object} context.env - Environment variables, defaults to process.env
+ *    @param {Stream} context.stdout - Stream for command output, defaults to process.stdout
+ *    @param {Stream} context.stderr - Stream for messages, defaults to process.stderr
+ *    @param {String} context.homeDir - Home directory used for default paths, defaults to the HOME environment variable
+ *    @param {Object} context.options - Extra GoogleDeviceAuth options, e.g. a transport
+ * @return {Promise} - Resolves with the exit code
+ */
+function run(argv, context) {
+  context = _.extend({
+    env: process.env,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }, context);
+  context.homeDir = context.homeDir || context.env.HOME || context.env.USERPROFILE || ".";
+
+  var args;
+  var config;
+  try {
+    args = parseArgs(argv);
+    config = loadConfig(args, context);
+  } catch (err) {
+    context.stderr.write(err.message + "\n\n" + usage + "\n");
+    return Promise.resolve(exitCodes.usage);
+  }
+
+  if (args.flags.help) {
+    context.stdout.write(usage + "\n");
+    return Promise.resolve(exitCodes.success);
+  }
+  if (!_.contains(commands, args.command)) {
+    context.stderr.write((args.command ? "Unknown command " + args.command : "Missing command") + "\n\n" + usage + "\n");
+    return Promise.resolve(exitCodes.usage);
+  }
+
+  //Make sure the default token directory exists
+  if (config.tokenFile === defaultPath(context, "tokens.json")) {
+    try {
+      fs.mkdirSync(path.dirname(config.tokenFile), 448); //0700
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        context.stderr.write("Unable to create " + path.dirname(config.tokenFile) + ": " + err.message + "\n");
+        return Promise.resolve(exitCodes.storeError);
+      }
+    }
+  }
+
+  var auth;
+  var constructionError;
+  return new Promise(function(resolve) {
+    //Set up inside the promise so an unusable token file is reported like any other store error
+    var store = openStore(config, args.command === "login" && args.flags.force);
+
+    auth = new GoogleDeviceAuth(_.extend({
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      scopes: config.scopes,
+      store: store,
+      autoAttemptReAuth: false
+    }, context.options));
+
+    //Store errors during construction are emitted on the next tick, collect them rather than crashing
+    auth.on(GoogleDeviceAuth.events.error, function(err) {
+      constructionError = constructionError || err;
+    });
+    process.nextTick(resolve);
+  }).then(function() {
+    if (constructionError) {
+      throw constructionError;
+    }
+    return commandHandlers[args.command](auth, context, args.flags);
+  }).then(function() {
+    return exitCodes.success;
+  }, function(err) {
+    context.stderr.write("Error: " + err.message + (err.code ? " (" + err.code + ")" : "") + "\n");
+    //Name the refused scopes, the message alone does not say which ones they are
+    if (err.code === GoogleDeviceAuth.errors.unsupportedScopes.code && err.data) {
+      if (err.data.disallowed.length) {
+        context.stderr.write("Not allowed in the device flow: " + err.data.disallowed.join(" ") + "\n");
+      }
+      if (err.data.unknown.length) {
+        context.stderr.write("Unknown scopes: " + err.data.unknown.join(" ") + "\n");
+      }
+    }
+    return exitCodeFor(err);
+  });
+}
+
+
+/* COMMANDS */
+
+var commandHandlers = {
+
+  "login": function(auth, context, flags) {
+    auth.on(GoogleDeviceAuth.events.userCode, function(data) {
+      context.stderr.write(GoogleDeviceAuth.presentUserCode(data, { qr: !!flags.qr }) + "\n");
+    });
+    var cancel = function() {
+      auth.cancel();
+    };
+    process.once("SIGINT", cancel);
+    return auth.authenticate().then(function() {
+      process.removeListener("SIGINT", cancel);
+      var user = auth.authData.user;
+      context.stderr.write("Logged in" + (user && user.email ? " as " + user.email : "") + "\n");
+    }, function(err) {
+      process.removeListener("SIGINT", cancel);
+      throw err;
+    });
+  },
+
+  "refresh": function(auth, context) {
+    return requireLogin(auth).then(function() {
+      return auth.refreshAsync();
+    }).then(function(data) {
+      context.stderr.write("Access token refreshed, expires in " + data.expires_in + " seconds\n");
+    });
+  },
+
+  "print-token": function(auth, context) {
+    return requireLogin(auth).then(function() {
+      return auth.getValidAccessToken();
+    }).then(function(accessToken) {
+      context.stdout.write(accessToken + "\n");
+    });
+  },
+
+  "revoke": function(auth, context) {
+    return auth.revokeAsync().then(function() {
+      context.stderr.write("Tokens revoked\n");
+    });
+  },
+
+  "status": function(auth, context) {
+    var authData = auth.authData;
+    var lines = [];
+    lines.push("Authorised: " + (auth.options.refreshToken ? "yes" : "no"));
+    if (authData.user && authData.user.email) {
+      lines.push("Account: " + authData.user.email);
+    }
+    if (authData.scope) {
+      lines.push("Scopes: " + authData.scope);
+    }
+    if (authData.access_token && authData.expires_at) {
+      lines.push("Access token expires: " + new Date(authData.expires_at).toISOString());
+    } else {
+      lines.push("Access token: none cached");
+    }
+    context.stdout.write(lines.join("\n") + "\n");
+    return requireLogin(auth);
+  }
+
+};
+
+
+/* UTILITY */
+
+/**
+ * Rejects with a missing refresh token error unless the device has been logged in
+ * @param  {GoogleDeviceAuth} auth
+ * @return {Promise}
+ */
+function requireLogin(auth) {
+  if (auth.options.refreshToken) {
+    return Promise.resolve();
+  }
+  return Promise.reject(auth._createError(GoogleDeviceAuth.errors.missingRefreshToken));
+}
+
+/**
+ * Opens the token file, wrapped in an EncryptedStore if a passphrase is set
+ * @param  {Object}  config - Configuration from loadConfig()
+ * @param  {Boolean} clear - Whether to discard any stored tokens
+ * @return {Object} - Store
+ * @throws {Error} - A store_error error if the store cannot be opened or cleared
+ */
+function openStore(config, clear) {
+  try {
+    var store = new GoogleDeviceAuth.FileStore(config.tokenFile, { lock: true });
+    if (config.passphrase) {
+      store = new GoogleDeviceAuth.EncryptedStore(store, { passphrase: config.passphrase });
+    }
+    if (clear) {
+      store.clear();
+    }
+    return store;
+  } catch (err) {
+    var error = new Error(GoogleDeviceAuth.errors.storeError.string + ": " + err.message);
+    error.code = GoogleDeviceAuth.errors.storeError.code;
+    error.data = err;
+    throw error;
+  }
+}
+
+/**
+ * Maps an error to a process exit code
+ * @param  {Error} err
+ * @return {Number}
+ */
+function exitCodeFor(err) {
+  var key = _.findKey(GoogleDeviceAuth.errors, function(type) {
+    return type.code === err.code;
+  });
+  return key && exitCodes[key] ? exitCodes[key] : exitCodes.unexpected;
+}
+
+/**
+ * Splits arguments into the command and its options
+ * @param  {Array} argv
+ * @return {Object} - Contains command, flags and values (arrays of strings keyed by option name)
+ */
+function parseArgs(argv) {
+  var result = {
+    command: null,
+    flags: {},
+    values: {}
+  };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg.indexOf("--") !== 0) {
+      if (result.command) {
+        throw new Error("Unexpected argument " + arg);
+      }
+      result.command = arg;
+      continue;
+    }
+    var name = arg.slice(2);
+    var value = null;
+    if (name.indexOf("=") !== -1) {
+      value = name.slice(name.indexOf("=") + 1);
+      name = name.slice(0, name.indexOf("="));
+    }
+    if (_.contains(booleanFlags, name)) {
+      result.flags[name] = true;
+      continue;
+    }
+    if (!_.contains(valueFlags, name)) {
+      throw new Error("Unknown option --" + name);
+    }
+    if (value === null) {
+      if (i + 1 >= argv.length) {
+        throw new Error("Missing value for --" + name);
+      }
+      value = argv[++i];
+    }
+    result.values[name] = (result.values[name] || []).concat(value);
+  }
+  return result;
+}
+
+/**
+ * Builds the configuration from flags, environment variables and the config file, in that order of precedence
+ * @param  {Object} args - Parsed arguments
+ * @param  {Object} context - Process context
+ * @return {Object} - Contains clientId, clientSecret, scopes, tokenFile and passphrase
+ */
+function loadConfig(args, context) {
+  var env = context.env;
+  var flag = function(name) {
+    return args.values[name] ? _.last(args.values[name]) : undefined;
+  };
+
+  var configPath = flag("config") || env.GOOGLE_DEVICE_AUTH_CONFIG;
+  var file = {};
+  if (configPath || fs.existsSync(defaultPath(context, "config.json"))) {
+    configPath = configPath || defaultPath(context, "config.json");
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (err) {
+      throw new Error("Unable to read config file " + configPath + ": " + err.message);
+    }
+  }
+
+  var scopes = args.values.scope || (env.GOOGLE_SCOPES ? [env.GOOGLE_SCOPES] : null) || file.scopes || [];
+  scopes = _.compact(_.flatten(_.map(scopes, function(scope) {
+    return scope.split(/[\s,]+/);
+  })));
+
+  return {
+    clientId: flag("client-id") || env.GOOGLE_CLIENT_ID || file.clientId,
+    clientSecret: flag("client-secret") || env.GOOGLE_CLIENT_SECRET || file.clientSecret,
+    scopes: scopes,
+    tokenFile: flag("token-file") || env.GOOGLE_DEVICE_AUTH_TOKEN_FILE || file.tokenFile || defaultPath(context, "tokens.json"),
+    //Only taken from the environment, flags are visible to other users in the process list
+    passphrase: env.GOOGLE_DEVICE_AUTH_PASSPHRASE
+  };
+}
+
+/**
+ * Path of a file in the default configuration directory
+ * @param  {Object} context - Process context
+ * @param  {String} name - File name
+ * @return {String}
+ */
+function defaultPath(context, name) {
+  return path.join(context.homeDir, ".google-device-auth", name);
+}
+
+
+module.exports = {
+  run: run,
+  exitCodes: exitCodes
+};
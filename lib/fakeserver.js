@@ -0,0 +1,445 @@
+/**
+ * Local stand-in for Google's OAuth endpoints, for testing and developing against without a Google account
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var EventEmitter = require("events").EventEmitter,
+    http = require("http"),
+    url = require("url"),
+    querystring = require("querystring"),
+    crypto = require("crypto"),
+    util = require("util"),
+    _ = require("underscore");
+
+
+/* CONSTANTS */
+
+var events = {
+  request: "request"
+};
+
+//Paths match GoogleDeviceAuth.defaultOptions so only accountsUrl (and authorizeUrl for the loopback flow) needs changing
+var paths = {
+  "/o/oauth2/v2/auth": "authorize",
+  "/device/code": "code",
+  "/token": "token",
+  "/revoke": "revoke",
+  "/tokeninfo": "tokeninfo"
+};
+
+//Canned responses that can be scripted for an endpoint. "success" is handled by each endpoint
+var behaviours = {
+  pending: { status: 428, body: { error: "authorization_pending" } },
+  slow_down: { status: 403, body: { error: "slow_down" } },
+  denied: { status: 403, body: { error: "access_denied" } },
+  expired: { status: 400, body: { error: "expired_token" } },
+  invalid_grant: { status: 400, body: { error: "invalid_grant", error_description: "Token has been expired or revoked." } },
+  invalid_scope: { status: 400, body: { error: "invalid_scope" } },
+  invalid_client: { status: 401, body: { error: "invalid_client" } },
+  invalid_token: { status: 400, body: { error: "invalid_token" } },
+  server_error: { status: 500, body: "Internal Server Error" },
+  unavailable: { status: 503, body: "Service Unavailable" }
+};
+
+var defaultOptions = {
+  interval: 5,
+  expiresIn: 3599,
+  codeExpiresIn: 1800,
+  verificationUrl: "https://www.google.com/device"
+};
+
+
+/**
+ * HTTP server mimicking Google's device code, authorisation, token (including service account assertions and authorisation codes), revoke and tokeninfo endpoints.
+ * Every endpoint succeeds unless behaviours have been queued for it with script().
+ * The authorisation endpoint approves straight away, redirecting to the redirect_uri with a code, or with the error of a scripted behaviour.
+ *
+ * Example usage:
+ *
+ * var server = new GoogleDeviceAuth.FakeGoogleServer({ interval: 0.01 });
+ * server.script("token", "pending", "slow_down");
+ * server.listen(function() {
+ *   var deviceAuth = new GoogleDeviceAuth({
+ *     clientId: "testid",
+ *     clientSecret: "testsecret",
+ *     scopes: ["https://www.googleapis.com/auth/drive.file"],
+ *     accountsUrl: server.url
+ *   });
+ *   deviceAuth.auth();
+ * });
+ *
+ * @param {Object} options - (optional) Server options
+ *    @param {Number} options.interval - Poll interval in seconds returned with user codes. Default is 5
+ *    @param {Number} options.expiresIn - Lifetime in seconds of issued access tokens. Default is 3599
+ *    @param {Number} options.codeExpiresIn - Lifetime in seconds of issued device codes. Default is 1800
+ *    @param {String} options.verificationUrl - URL returned for the user to visit
+ */
+function FakeGoogleServer(options) {
+  this.options = _.extend({}, defaultOptions, options);
+  this.url = null;
+  this._server = http.createServer(this._handleRequest.bind(this));
+  this.reset();
+}
+
+util.inherits(FakeGoogleServer, EventEmitter);
+
+
+
+/** PUBLIC METHODS **/
+
+/**
+ * Start listening on the loopback interface. this.url is set once listening
+ * @param  {Number} port - (optional) Port to listen on, a free port is picked by default
+ * @param  {Function} callback - (optional) Called once listening, with any error
+ */
+FakeGoogleServer.prototype.listen = function(port, callback) {
+  if (typeof port === "function") {
+    callback = port;
+    port = 0;
+  }
+  callback = _.once(callback || function() {});
+  var server = this._server;
+  var self = this;
+  server.once("error", callback);
+  server.listen(port || 0, "127.0.0.1", function() {
+    server.removeListener("error", callback);
+    self.url = "http://127.0.0.1:" + server.address().port;
+    callback(null);
+  });
+};
+
+/**
+ * Stop listening and drop open connections, including keep-alive connections and requests that are still being answered
+ * @param  {Function} callback - (optional) Called once the server has closed
+ */
+FakeGoogleServer.prototype.close = function(callback) {
+  callback = callback || function() {};
+  if (!this._server.listening) {
+    return process.nextTick(callback);
+  }
+  this._server.close(callback);
+  //Only available from Node 18.2, older versions wait for clients to disconnect
+  if (this._server.closeAllConnections) {
+    this._server.closeAllConnections();
+  }
+};
+
+/**
+ * Queue behaviours for an endpoint. Each request to the endpoint uses up the next behaviour, then requests succeed again.
+ * @param  {String} endpoint - One of code, token (device code polls), authorize, exchange (authorisation codes), refresh, assertion (service accounts), revoke or tokeninfo
+ * @param  {...String|Object} behaviour - Name from FakeGoogleServer.behaviours, "success", or a custom { status, body } response
+ * @return {FakeGoogleServer} - this, for chaining
+ */
+FakeGoogleServer.prototype.script = function(endpoint) {
+  if (!_.has(this._scripts, endpoint)) {
+    throw new Error("Unknown endpoint: " + endpoint);
+  }
+  var queued = _.rest(arguments);
+  _.each(queued, function(behaviour) {
+    if (_.isString(behaviour) && behaviour !== "success" && !_.has(behaviours, behaviour)) {
+      throw new Error("Unknown behaviour: " + behaviour);
+    }
+  });
+  this._scripts[endpoint] = this._scripts[endpoint].concat(queued);
+  return this;
+};
+
+/**
+ * Forget queued behaviours, issued tokens and recorded requests
+ */
+FakeGoogleServer.prototype.reset = function() {
+  this.requests = [];
+  this._scripts = { code: [], token: [], authorize: [], exchange: [], refresh: [], assertion: [], revoke: [], tokeninfo: [] };
+  this._deviceCodes = {};
+  this._authorizationCodes = {};
+  this._accessTokens = {};
+  this._refreshTokens = {};
+  this._revoked = {};
+};
+
+
+
+/** INTERNAL METHODS **/
+
+/**
+ * Internal - Reads the request body and routes it to an endpoint
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+FakeGoogleServer.prototype._handleRequest = function(req, res) {
+  var body = "";
+  req.setEncoding("utf8");
+  req.on("data", function(chunk) {
+    body += chunk;
+  });
+  req.on("end", (function() {
+    var parsed = url.parse(req.url, true);
+    var form = _.extend({}, parsed.query, querystring.parse(body));
+    var endpoint = paths[parsed.pathname];
+    if (endpoint === "token" && form.grant_type === "refresh_token") {
+      endpoint = "refresh";
+    } else if (endpoint === "token" && form.grant_type === "urn:ietf:params:oauth:grant-type:jwt-bearer") {
+      endpoint = "assertion";
+    } else if (endpoint === "token" && form.grant_type === "authorization_code") {
+      endpoint = "exchange";
+    }
+
+    var request = {
+      endpoint: endpoint || null,
+      method: req.method,
+      path: parsed.pathname,
+      form: form
+    };
+    this.requests.push(request);
+    this.emit(events.request, request);
+
+    if (!endpoint) {
+      return this._respond(res, { status: 404, body: "Not Found" });
+    }
+    var behaviour = this._scripts[endpoint].length ? this._scripts[endpoint].shift() : "success";
+    if (behaviour !== "success") {
+      var response = _.isString(behaviour) ? behaviours[behaviour] : behaviour;
+      //The authorisation endpoint reports errors to the application through the redirect
+      if (endpoint === "authorize" && form.redirect_uri && response.body && response.body.error) {
+        response = redirect(form.redirect_uri, { error: response.body.error, state: form.state });
+      }
+      return this._respond(res, response);
+    }
+    this._respond(res, this["_" + endpoint](form));
+  }).bind(this));
+};
+
+/**
+ * Internal - Issues a device code and user code
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._code = function(form) {
+  if (!form.client_id) {
+    return { status: 400, body: { error: "invalid_request", error_description: "Missing client_id" } };
+  }
+  var deviceCode = this._randomToken("device");
+  this._deviceCodes[deviceCode] = {
+    clientId: form.client_id,
+    scope: form.scope || "",
+    expires: Date.now() + this.options.codeExpiresIn * 1000
+  };
+  return {
+    status: 200,
+    body: {
+      device_code: deviceCode,
+      user_code: crypto.randomBytes(4).toString("hex").toUpperCase(),
+      verification_url: this.options.verificationUrl,
+      expires_in: this.options.codeExpiresIn,
+      interval: this.options.interval
+    }
+  };
+};
+
+/**
+ * Internal - Approves an authorisation request, redirecting back to the application with an authorisation code.
+ * Only PKCE requests with the S256 method are accepted
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._authorize = function(form) {
+  if (!form.client_id || !form.redirect_uri || form.response_type !== "code") {
+    return { status: 400, body: { error: "invalid_request", error_description: "Missing client_id, redirect_uri or response_type" } };
+  }
+  if (!form.code_challenge || form.code_challenge_method !== "S256") {
+    return { status: 400, body: { error: "invalid_request", error_description: "Missing S256 code_challenge" } };
+  }
+  var code = this._randomToken("code");
+  this._authorizationCodes[code] = {
+    clientId: form.client_id,
+    scope: form.scope || "",
+    redirectUri: form.redirect_uri,
+    challenge: form.code_challenge,
+    expires: Date.now() + 600 * 1000
+  };
+  return redirect(form.redirect_uri, { code: code, state: form.state });
+};
+
+/**
+ * Internal - Exchanges an authorisation code for tokens. The redirect_uri and PKCE verifier must match the authorisation request,
+ * and each code can only be used once
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._exchange = function(form) {
+  var grant = this._authorizationCodes[form.code];
+  if (!grant) {
+    return behaviours.invalid_grant;
+  }
+  delete this._authorizationCodes[form.code];
+  var challenge = crypto.createHash("sha256").update(String(form.code_verifier)).digest("base64")
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  if (grant.expires < Date.now() || grant.clientId !== form.client_id || grant.redirectUri !== form.redirect_uri || grant.challenge !== challenge) {
+    return behaviours.invalid_grant;
+  }
+  var refreshToken = this._randomToken("refresh");
+  this._refreshTokens[refreshToken] = grant;
+  return this._issueTokens(grant, refreshToken);
+};
+
+/**
+ * Internal - Exchanges an issued device code for tokens. Each device code can only be used once
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._token = function(form) {
+  var grant = this._deviceCodes[form.device_code];
+  if (!grant) {
+    return behaviours.invalid_grant;
+  }
+  delete this._deviceCodes[form.device_code];
+  if (grant.expires < Date.now()) {
+    return behaviours.expired;
+  }
+  var refreshToken = this._randomToken("refresh");
+  this._refreshTokens[refreshToken] = grant;
+  return this._issueTokens(grant, refreshToken);
+};
+
+/**
+ * Internal - Issues a new access token for any refresh token that has not been revoked.
+ * Refresh tokens this server did not issue are accepted too, so tokens stored from elsewhere keep working
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._refresh = function(form) {
+  if (!form.refresh_token || this._revoked[form.refresh_token]) {
+    return behaviours.invalid_grant;
+  }
+  var grant = this._refreshTokens[form.refresh_token] || { clientId: form.client_id };
+  return this._issueTokens(grant);
+};
+
+/**
+ * Internal - Issues an access token for a service account assertion.
+ * The signature is not checked since the server does not know the service account's public key
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._assertion = function(form) {
+  var claims;
+  try {
+    var payload = String(form.assertion).split(".")[1];
+    claims = JSON.parse(Buffer.from(payload.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+  } catch (err) {
+    return { status: 400, body: { error: "invalid_grant", error_description: "Invalid JWT" } };
+  }
+  if (!claims.iss || !claims.scope || !(claims.exp > Date.now() / 1000)) {
+    return { status: 400, body: { error: "invalid_grant", error_description: "Invalid JWT claims" } };
+  }
+  return this._issueTokens({ clientId: claims.iss, scope: claims.scope });
+};
+
+/**
+ * Internal - Revokes a refresh or access token
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._revoke = function(form) {
+  if (!form.token || this._revoked[form.token]) {
+    return behaviours.invalid_token;
+  }
+  this._revoked[form.token] = true;
+  delete this._accessTokens[form.token];
+  delete this._refreshTokens[form.token];
+  return { status: 200, body: "" };
+};
+
+/**
+ * Internal - Describes an access token issued by this server
+ * @param  {Object} form - Request parameters
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._tokeninfo = function(form) {
+  var token = this._accessTokens[form.access_token];
+  if (!token || token.expires < Date.now()) {
+    return { status: 400, body: { error: "invalid_token", error_description: "Invalid Value" } };
+  }
+  return {
+    status: 200,
+    body: {
+      aud: token.clientId,
+      scope: token.scope,
+      expires_in: String(Math.floor((token.expires - Date.now()) / 1000))
+    }
+  };
+};
+
+/**
+ * Internal - Builds a token response and remembers the access token for tokeninfo
+ * @param  {Object} grant - Client ID and space separated scopes (unknown for foreign refresh tokens) of the grant
+ * @param  {String} refreshToken - (optional) Refresh token to include
+ * @return {Object} - Response
+ */
+FakeGoogleServer.prototype._issueTokens = function(grant, refreshToken) {
+  var accessToken = this._randomToken("access");
+  this._accessTokens[accessToken] = {
+    clientId: grant.clientId,
+    scope: grant.scope || "",
+    expires: Date.now() + this.options.expiresIn * 1000
+  };
+  var body = {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: this.options.expiresIn
+  };
+  if (grant.scope !== undefined) {
+    body.scope = grant.scope;
+  }
+  if (refreshToken) {
+    body.refresh_token = refreshToken;
+  }
+  return { status: 200, body: body };
+};
+
+/**
+ * Internal - Writes a { status, headers, body } response, encoding object bodies as JSON
+ * @param {http.ServerResponse} res
+ * @param {Object} response
+ */
+FakeGoogleServer.prototype._respond = function(res, response) {
+  var isJSON = response.body !== null && typeof response.body === "object";
+  var body = isJSON ? JSON.stringify(response.body) : String(response.body || "");
+  res.writeHead(response.status, _.extend({
+    "Content-Type": isJSON ? "application/json; charset=utf-8" : "text/plain",
+    "Content-Length": Buffer.byteLength(body)
+  }, response.headers));
+  res.end(body);
+};
+
+/**
+ * Internal - Generates an opaque token
+ * @param  {String} prefix - Describes the kind of token, to make them easy to tell apart when debugging
+ * @return {String}
+ */
+FakeGoogleServer.prototype._randomToken = function(prefix) {
+  return "fake-" + prefix + "-" + crypto.randomBytes(12).toString("hex");
+};
+
+/**
+ * Builds a redirect response back to the application
+ * @param  {String} redirectUri
+ * @param  {Object} params - Query parameters to add. Undefined values are left out
+ * @return {Object} - Response
+ */
+function redirect(redirectUri, params) {
+  var query = querystring.stringify(_.pick(params, _.negate(_.isUndefined)));
+  return {
+    status: 302,
+    headers: { Location: redirectUri + (redirectUri.indexOf("?") === -1 ? "?" : "&") + query },
+    body: ""
+  };
+}
+
+//Attatch constants to class for transparency
+FakeGoogleServer.events = events;
+FakeGoogleServer.behaviours = behaviours;
+FakeGoogleServer.defaultOptions = defaultOptions;
+
+module.exports = FakeGoogleServer;
@@ -0,0 +1,181 @@
+/**
+ * id_token (JWT) decoding, RS256 signature verification and signing
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var crypto = require("crypto"),
+    _ = require("underscore");
+
+
+var issuers = ["accounts.google.com", "https://accounts.google.com"];
+
+/**
+ * Decodes a base64url string into a Buffer
+ * @param  {String} str
+ * @return {Buffer}
+ */
+function base64UrlDecode(str) {
+  return Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Encodes a Buffer or string as base64url
+ * @param  {Buffer|String} data
+ * @return {String}
+ */
+function base64UrlEncode(data) {
+  return (Buffer.isBuffer(data) ? data : Buffer.from(data)).toString("base64")
+    .replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+/**
+ * Splits a JWT into its parts and parses the header and payload
+ * @param  {String} token - Encoded JWT
+ * @return {Object} - Contains header, payload, signature (Buffer) and signingInput
+ */
+function decode(token) {
+  var parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error("Malformed JWT");
+  }
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0]).toString("utf8")),
+      payload: JSON.parse(base64UrlDecode(parts[1]).toString("utf8")),
+      signature: base64UrlDecode(parts[2]),
+      signingInput: parts[0] + "." + parts[1]
+    };
+  } catch (err) {
+    throw new Error("Malformed JWT");
+  }
+}
+
+/**
+ * Encodes the length of a DER element
+ * @param  {Number} length
+ * @return {Buffer}
+ */
+function derLength(length) {
+  if (length < 128) {
+    return Buffer.from([length]);
+  }
+  var bytes = [];
+  while (length > 0) {
+    bytes.unshift(length & 0xff);
+    length = length >> 8;
+  }
+  return Buffer.from([0x80 | bytes.length].concat(bytes));
+}
+
+/**
+ * Builds a DER element from a tag and its contents
+ * @param  {Number} tag
+ * @param  {Buffer} contents
+ * @return {Buffer}
+ */
+function derElement(tag, contents) {
+  return Buffer.concat([Buffer.from([tag]), derLength(contents.length), contents]);
+}
+
+/**
+ * Builds a DER integer, keeping it positive if the high bit is set
+ * @param  {Buffer} bytes - Big-endian unsigned integer
+ * @return {Buffer}
+ */
+function derInteger(bytes) {
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return derElement(0x02, bytes);
+}
+
+/**
+ * Converts an RSA JSON Web Key into a PEM encoded public key that the crypto module can use
+ * @param  {Object} jwk - Key containing the n and e properties
+ * @return {String}
+ */
+function jwkToPem(jwk) {
+  var rsaPublicKey = derElement(0x30, Buffer.concat([
+    derInteger(base64UrlDecode(jwk.n)),
+    derInteger(base64UrlDecode(jwk.e))
+  ]));
+  //AlgorithmIdentifier for rsaEncryption (OID 1.2.840.113549.1.1.1) with NULL parameters
+  var algorithm = Buffer.from("300d06092a864886f70d0101010500", "hex");
+  var spki = derElement(0x30, Buffer.concat([
+    algorithm,
+    derElement(0x03, Buffer.concat([Buffer.from([0]), rsaPublicKey]))
+  ]));
+  var lines = spki.toString("base64").match(/.{1,64}/g);
+  return "-----BEGIN PUBLIC KEY-----\n" + lines.join("\n") + "\n-----END PUBLIC KEY-----\n";
+}
+
+/**
+ * Verifies a Google id_token and returns its claims
+ * @param  {String} token - Encoded id_token
+ * @param  {Array}  keys - JSON Web Keys to verify the signature with (the keys array of a JWKS)
+ * @param  {Object} options - Verification options
+ *    @param {String} options.audience - Expected aud claim, i.e. the client ID
+ *    @param {Number} options.clockSkew - (optional) Seconds of leeway allowed when checking exp
+ * @return {Object} - Verified claims
+ */
+function verify(token, keys, options) {
+  var decoded = decode(token);
+  var claims = decoded.payload;
+
+  if (decoded.header.alg !== "RS256") {
+    throw new Error("Unsupported JWT algorithm " + decoded.header.alg);
+  }
+
+  var key = _.findWhere(keys, { kid: decoded.header.kid });
+  if (!key) {
+    throw new Error("No key found for JWT key ID " + decoded.header.kid);
+  }
+
+  var valid = crypto.createVerify("RSA-SHA256")
+    .update(decoded.signingInput)
+    .verify(jwkToPem(key), decoded.signature);
+  if (!valid) {
+    throw new Error("Invalid JWT signature");
+  }
+
+  if (!_.contains(issuers, claims.iss)) {
+    throw new Error("Unexpected JWT issuer " + claims.iss);
+  }
+  if (claims.aud !== options.audience) {
+    throw new Error("Unexpected JWT audience " + claims.aud);
+  }
+  if (!claims.exp || claims.exp + (options.clockSkew || 0) < Date.now() / 1000) {
+    throw new Error("JWT has expired");
+  }
+
+  return claims;
+}
+
+
+/**
+ * Signs claims as an RS256 JWT, e.g. a service account assertion
+ * @param  {Object} claims - JWT payload
+ * @param  {String} privateKey - PEM encoded RSA private key
+ * @param  {String} kid - (optional) ID of the key, added to the header
+ * @return {String} - Encoded JWT
+ */
+function sign(claims, privateKey, kid) {
+  var header = { alg: "RS256", typ: "JWT" };
+  if (kid) {
+    header.kid = kid;
+  }
+  var signingInput = base64UrlEncode(JSON.stringify(header)) + "." + base64UrlEncode(JSON.stringify(claims));
+  var signature = crypto.createSign("RSA-SHA256").update(signingInput).sign(privateKey);
+  return signingInput + "." + base64UrlEncode(signature);
+}
+
+
+module.exports = {
+  decode: decode,
+  verify: verify,
+  sign: sign,
+  jwkToPem: jwkToPem,
+  base64UrlEncode: base64UrlEncode,
+  base64UrlDecode: base64UrlDecode
+};
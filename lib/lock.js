@@ -0,0 +1,183 @@
+/**
+ * Lock files for coordinating processes that share a token file
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var fs = require("fs"),
+    os = require("os"),
+    _ = require("underscore");
+
+
+var defaultOptions = {
+  staleTime: 60,
+  timeout: 120,
+  retryInterval: 50
+};
+
+
+/**
+ * An exclusive lock held by creating a file, so it works between unrelated processes on one machine.
+ * The file records the holder's PID and hostname so a lock left behind by a crashed process on this machine can be taken over straight away.
+ * Locks held from other machines sharing the file system (or whose owner cannot be read) are taken over once they are older than staleTime.
+ * @param {String} path - Path of the lock file
+ * @param {Object} options - (optional)
+ *    @param {Number} options.staleTime - (default 60) Seconds after which a lock held from another machine is considered abandoned
+ *    @param {Number} options.timeout - (default 120) Seconds to wait for the lock before giving up
+ *    @param {Number} options.retryInterval - (default 50) Milliseconds between attempts while waiting
+ */
+function FileLock(path, options) {
+  this.path = path;
+  this.options = _.extend({}, defaultOptions, options);
+  this._held = false;
+}
+
+/**
+ * Waits for the lock without blocking the event loop
+ * @param {Function} callback - Called with an error if the lock could not be taken in time
+ */
+FileLock.prototype.acquire = function(callback) {
+  var deadline = Date.now() + this.options.timeout * 1000;
+  var attempt = (function() {
+    var acquired;
+    try {
+      acquired = this.tryAcquire();
+    } catch (err) {
+      return callback(err);
+    }
+    if (acquired) {
+      return callback(null);
+    }
+    if (Date.now() >= deadline) {
+      return callback(timeoutError(this.path));
+    }
+    setTimeout(attempt, this.options.retryInterval);
+  }).bind(this);
+  //Always call back asynchronously, even if the lock is free
+  process.nextTick(attempt);
+};
+
+/**
+ * Waits for the lock, blocking the process. Only suitable for locks that are held very briefly
+ */
+FileLock.prototype.acquireSync = function() {
+  var deadline = Date.now() + this.options.timeout * 1000;
+  var sleeper = new Int32Array(new SharedArrayBuffer(4));
+  while (!this.tryAcquire()) {
+    if (Date.now() >= deadline) {
+      throw timeoutError(this.path);
+    }
+    Atomics.wait(sleeper, 0, 0, this.options.retryInterval);
+  }
+};
+
+/**
+ * Takes the lock if it is free or stale
+ * @return {Boolean} - Whether the lock was taken
+ */
+FileLock.prototype.tryAcquire = function() {
+  var owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    created: Date.now()
+  });
+  try {
+    fs.writeFileSync(this.path, owner, { flag: "wx", mode: 384 }); //0600
+    this._held = true;
+    return true;
+  } catch (err) {
+    if (err.code !== "EEXIST") {
+      throw err;
+    }
+  }
+  this._removeIfStale();
+  return false;
+};
+
+/**
+ * Releases the lock if it is held
+ */
+FileLock.prototype.release = function() {
+  if (!this._held) {
+    return;
+  }
+  this._held = false;
+  try {
+    fs.unlinkSync(this.path);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+};
+
+/**
+ * Removes the lock file if its holder has exited or it is older than staleTime, so the next attempt can take it
+ */
+FileLock.prototype._removeIfStale = function() {
+  var contents, stat;
+  try {
+    contents = fs.readFileSync(this.path, "utf8");
+    stat = fs.statSync(this.path);
+  } catch (err) {
+    //Released in the meantime
+    if (err.code === "ENOENT") {
+      return;
+    }
+    throw err;
+  }
+
+  var owner = null;
+  try {
+    owner = JSON.parse(contents);
+  } catch (err) {
+    //Still being written, fall back to its age
+  }
+  var stale;
+  if (owner && owner.hostname === os.hostname()) {
+    stale = !isRunning(owner.pid);
+  } else {
+    stale = Date.now() - stat.mtime.getTime() > this.options.staleTime * 1000;
+  }
+  if (!stale) {
+    return;
+  }
+
+  //Only remove the lock that was judged stale, not one another process has just taken in its place
+  try {
+    if (fs.readFileSync(this.path, "utf8") === contents) {
+      fs.unlinkSync(this.path);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+};
+
+/**
+ * @param  {Number} pid
+ * @return {Boolean} - Whether a process with the PID is running on this machine
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    //EPERM means the process exists but belongs to another user
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * @param  {String} path
+ * @return {Error}
+ */
+function timeoutError(path) {
+  var error = new Error("Timed out waiting for lock " + path);
+  error.code = "ELOCKTIMEOUT";
+  return error;
+}
+
+
+module.exports = FileLock;
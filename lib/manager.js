@@ -0,0 +1,230 @@
+/**
+ * Multi-account credential manager built on GoogleDeviceAuth
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var EventEmitter = require("events").EventEmitter,
+    _ = require("underscore"),
+    util = require("util"),
+    GoogleDeviceAuth = require("./auth"),
+    stores = require("./stores");
+
+
+/* CONSTANTS */
+
+var events = {
+  accountAdded: "account_added",
+  accountRemoved: "account_removed"
+};
+
+//Events re-emitted from each account's GoogleDeviceAuth instance, with the account ID as an extra argument
+var forwardedEvents = [
+  GoogleDeviceAuth.events.userCode,
+  GoogleDeviceAuth.events.newAccessToken,
+  GoogleDeviceAuth.events.authSuccess,
+  GoogleDeviceAuth.events.refreshSuccess,
+  GoogleDeviceAuth.events.revoked,
+  GoogleDeviceAuth.events.warning
+];
+
+
+/**
+ * Manages credentials for many Google accounts sharing one client ID and one store.
+ * Each account gets its own GoogleDeviceAuth instance, keyed by a caller-supplied ID or the sub claim of its verified id_token.
+ *
+ * Example usage:
+ *
+ * var manager = new GoogleDeviceAuth.AccountManager({
+ *   clientId: "<insert client id>",
+ *   clientSecret: "<insert client secret>",
+ *   scopes: ["openid", "email", "https://www.googleapis.com/auth/drive.file"],
+ *   store: new GoogleDeviceAuth.FileStore("/var/lib/myapp/accounts.json")
+ * });
+ *
+ * manager.on(GoogleDeviceAuth.events.userCode, function(data) {
+ *   console.log("Please visit " + data.verification_url + " and enter " + data.user_code);
+ * });
+ *
+ * manager.addAccount().then(function(accountId) {
+ *   return manager.getAccessToken(accountId);
+ * });
+ *
+ * @param {Object} options - GoogleDeviceAuth options used for every account.
+ *    @param {Object} options.store - (optional) Shared store holding the credentials of all accounts. Defaults to a MemoryStore
+ *    @param {Boolean} options.autoAttemptReAuth - (default false) Unlike for a single instance, an account whose refresh token is rejected
+ *                                                 is not authorised again automatically, since whoever approves the new device flow
+ *                                                 could be signed in to a different Google account
+ */
+function AccountManager(options) {
+  this.options = _.extend({ autoAttemptReAuth: false }, options);
+  this.store = this.options.store || new stores.MemoryStore();
+
+  //Each account gets its own view of the shared store and its own refresh token
+  delete this.options.store;
+  delete this.options.refreshToken;
+
+  this._accounts = {};
+}
+
+util.inherits(AccountManager, EventEmitter);
+
+
+
+/** PUBLIC METHODS **/
+
+/**
+ * Authorise a new account using the device flow.
+ * If the account ID is omitted, the sub claim of the verified id_token is used, so the scopes should include openid.
+ * Resolves straight away if credentials are already stored for the given account ID.
+ * @param  {String} accountId - (optional) ID to store the account under
+ * @return {Promise} - Resolves with the account ID
+ */
+AccountManager.prototype.addAccount = function(accountId) {
+  var self = this;
+  if (accountId && this.getAccount(accountId)) {
+    return Promise.resolve(accountId);
+  }
+
+  var auth = this._createAccount(accountId);
+  return auth.authenticate().then(function() {
+    var id = accountId || (auth.authData.user && auth.authData.user.sub);
+    if (!id) {
+      throw auth._createError(GoogleDeviceAuth.errors.missingAccountId);
+    }
+
+    //Now that the account is known, persist the credentials under its ID
+    auth.accountId = id;
+    auth.options.store = new stores.AccountStore(self.store, id);
+    var storeError = auth._writeStore();
+    if (storeError) {
+      throw auth._createError(auth._storeErrorType(storeError), storeError);
+    }
+
+    //Replace any existing instance for the same account
+    if (self._accounts[id]) {
+      self._accounts[id].stopAutoRefresh();
+    }
+    self._accounts[id] = auth;
+    self.emit(events.accountAdded, id);
+    return id;
+  });
+};
+
+/**
+ * Get the GoogleDeviceAuth instance for an account, restoring it from the store if necessary
+ * @param  {String} accountId
+ * @return {GoogleDeviceAuth} - Or null if no credentials are stored for the account
+ */
+AccountManager.prototype.getAccount = function(accountId) {
+  if (!this._accounts[accountId]) {
+    if (!_.has(this.store.get() || {}, accountId)) {
+      return null;
+    }
+    this._accounts[accountId] = this._createAccount(accountId);
+  }
+  return this._accounts[accountId];
+};
+
+/**
+ * List the IDs of all accounts in the store
+ * @return {Array}
+ */
+AccountManager.prototype.listAccounts = function() {
+  return _.keys(this.store.get() || {});
+};
+
+/**
+ * Resolves with a valid access token for an account, refreshing it if necessary
+ * @param  {String} accountId
+ * @return {Promise}
+ */
+AccountManager.prototype.getAccessToken = function(accountId) {
+  return this._withAccount(accountId, function(auth) {
+    return auth.getValidAccessToken();
+  });
+};
+
+/**
+ * Refresh the access token of an account
+ * @param  {String} accountId
+ * @return {Promise} - Resolves with the token data
+ */
+AccountManager.prototype.refresh = function(accountId) {
+  return this._withAccount(accountId, function(auth) {
+    return auth.refreshAsync();
+  });
+};
+
+/**
+ * Remove an account and its stored credentials
+ * @param  {String} accountId
+ * @param  {Object} options - (optional)
+ *    @param {Boolean} options.revoke - Revoke the account's tokens with Google before removing it
+ * @return {Promise}
+ */
+AccountManager.prototype.removeAccount = function(accountId, options) {
+  var self = this;
+  return this._withAccount(accountId, function(auth) {
+    var revoked = options && options.revoke ? auth.revokeAsync() : Promise.resolve();
+    return revoked.then(function() {
+      auth.stopAutoRefresh();
+      auth.options.store.clear();
+      delete self._accounts[accountId];
+      self.emit(events.accountRemoved, accountId);
+    });
+  });
+};
+
+
+
+/** INTERNAL METHODS **/
+
+/**
+ * Internal - Creates a GoogleDeviceAuth instance for an account and forwards its events
+ * @param  {String} accountId - (optional) ID of the account, unknown for new accounts keyed by id_token
+ * @return {GoogleDeviceAuth}
+ */
+AccountManager.prototype._createAccount = function(accountId) {
+  var self = this;
+  var auth = new GoogleDeviceAuth(_.extend({}, this.options, {
+    store: accountId ? new stores.AccountStore(this.store, accountId) : null
+  }));
+  auth.accountId = accountId;
+
+  _.each(forwardedEvents, function(event) {
+    auth.on(event, function(data) {
+      self.emit(event, data, auth.accountId);
+    });
+  });
+
+  //Only forward errors if someone is listening, promise callers get them through rejections instead
+  auth.on(GoogleDeviceAuth.events.error, function(err) {
+    if (self.listeners(GoogleDeviceAuth.events.error).length) {
+      self.emit(GoogleDeviceAuth.events.error, err, auth.accountId);
+    }
+  });
+
+  return auth;
+};
+
+/**
+ * Internal - Runs a function with an account's instance, rejecting if the account is unknown
+ * @param  {String}   accountId
+ * @param  {Function} fn - Called with the GoogleDeviceAuth instance, should return a promise
+ * @return {Promise}
+ */
+AccountManager.prototype._withAccount = function(accountId, fn) {
+  var auth = this.getAccount(accountId);
+  if (!auth) {
+    return Promise.reject(GoogleDeviceAuth.prototype._createError(GoogleDeviceAuth.errors.unknownAccount, {
+      accountId: accountId
+    }));
+  }
+  return fn(auth);
+};
+
+//Attatch constants to the class for transparency
+AccountManager.events = events;
+
+module.exports = AccountManager;
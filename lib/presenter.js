@@ -0,0 +1,79 @@
+/**
+ * Helpers for presenting the user code to the user in a terminal
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var _ = require("underscore"),
+    qrcode = require("./qrcode");
+
+
+/**
+ * Renders text as a QR code using Unicode block characters, two rows of modules per line of output.
+ * By default light modules are drawn as blocks, which gives dark-on-light codes on terminals with a dark background.
+ * @param  {String} text - Text to encode
+ * @param  {Object} options - (optional)
+ *    @param {Boolean} options.invert - Draw dark modules as blocks instead, for terminals with a light background
+ *    @param {Number} options.margin - (default 2) Width of the quiet zone around the code, in modules
+ *    @param {String} options.errorCorrection - (default "L") QR error correction level
+ * @return {String}
+ */
+function renderQrCode(text, options) {
+  options = _.extend({
+    invert: false,
+    margin: 2,
+    errorCorrection: "L"
+  }, options);
+
+  var qr = qrcode.encode(text, { errorCorrection: options.errorCorrection });
+  var margin = options.margin;
+  var size = qr.size + margin * 2;
+
+  //Whether the module at (x, y), including the quiet zone, is drawn as a block
+  var filled = function(x, y) {
+    var qx = x - margin;
+    var qy = y - margin;
+    var dark = qx >= 0 && qy >= 0 && qx < qr.size && qy < qr.size && qr.modules[qy][qx];
+    return dark === options.invert;
+  };
+
+  var lines = [];
+  for (var y = 0; y < size; y += 2) {
+    var line = "";
+    for (var x = 0; x < size; x++) {
+      var top = filled(x, y);
+      var bottom = y + 1 < size && filled(x, y + 1);
+      line += top && bottom ? "█" : top ? "▀" : bottom ? "▄" : " ";
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Builds the message to show the user for a userCode event
+ * @param  {Object} data - Data from the userCode event
+ * @param  {Object} options - (optional) Options passed to renderQrCode, plus:
+ *    @param {Boolean} options.qr - (default true) Include a QR code. Set to false for plain text only
+ * @return {String}
+ */
+function presentUserCode(data, options) {
+  options = _.extend({ qr: true }, options);
+  var url = data.verification_uri || data.verification_url;
+  var text = "To authorise this device, visit " + url + " and enter the code " + data.user_code;
+  if (!options.qr) {
+    return text;
+  }
+
+  //Prefer the complete URL so scanning the code skips typing the user code
+  var qrUrl = data.verification_uri_complete || url;
+  var message = data.verification_uri_complete ? "Scan the QR code, or " + text.charAt(0).toLowerCase() + text.slice(1) :
+    "Scan the QR code or visit " + url + ", then enter the code " + data.user_code;
+  return renderQrCode(qrUrl, options) + "\n\n" + message;
+}
+
+
+module.exports = {
+  renderQrCode: renderQrCode,
+  presentUserCode: presentUserCode
+};
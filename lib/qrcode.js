@@ -0,0 +1,501 @@
+/**
+ * Minimal QR code encoder (byte mode only), so verification URLs can be shown without any dependencies
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ *
+ * Follows ISO/IEC 18004. The table values and the overall structure are based on Project Nayuki's QR Code generator.
+ */
+
+
+/* CONSTANTS */
+
+//Index into the tables below, plus the format bits for each error correction level
+var errorCorrectionLevels = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+//Error correction codewords per block, by level and version (index 0 is unused)
+var eccCodewordsPerBlock = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+//Number of error correction blocks, by level and version (index 0 is unused)
+var numErrorCorrectionBlocks = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+//Penalty weights used when choosing a mask
+var penalty = {
+  run: 3,
+  block: 3,
+  finderLike: 40,
+  balance: 10
+};
+
+
+/**
+ * Encodes text as a QR code in byte mode, using the smallest version that fits
+ * @param  {String} text - Text to encode (UTF-8)
+ * @param  {Object} options - (optional)
+ *    @param {String} options.errorCorrection - (default "M") Error correction level: L, M, Q or H
+ * @return {Object} - Contains version, size and modules (array of rows of booleans, true for dark)
+ */
+function encode(text, options) {
+  var ecl = errorCorrectionLevels[(options && options.errorCorrection) || "M"];
+  if (!ecl) {
+    throw new Error("Unknown error correction level " + options.errorCorrection);
+  }
+
+  var bytes = Array.prototype.slice.call(Buffer.from(text, "utf8"));
+
+  //Find the smallest version the data fits in
+  var version;
+  for (version = 1; ; version++) {
+    if (version > 40) {
+      throw new Error("Text is too long to encode as a QR code");
+    }
+    if (4 + charCountBits(version) + bytes.length * 8 <= getNumDataCodewords(version, ecl) * 8) {
+      break;
+    }
+  }
+
+  //Build the data bit stream: byte mode indicator, character count, data, terminator and padding
+  var bits = [];
+  appendBits(bits, 4, 4);
+  appendBits(bits, bytes.length, charCountBits(version));
+  bytes.forEach(function(b) {
+    appendBits(bits, b, 8);
+  });
+  var capacity = getNumDataCodewords(version, ecl) * 8;
+  appendBits(bits, 0, Math.min(4, capacity - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (var pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  var dataCodewords = [];
+  for (var i = 0; i < bits.length; i += 8) {
+    var codeword = 0;
+    for (var j = 0; j < 8; j++) {
+      codeword = (codeword << 1) | bits[i + j];
+    }
+    dataCodewords.push(codeword);
+  }
+
+  var qr = new Matrix(version, ecl);
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(addEccAndInterleave(dataCodewords, version, ecl));
+
+  //Try every mask and keep the one with the lowest penalty
+  var bestMask = 0;
+  var bestPenalty = Infinity;
+  for (var mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask);
+    qr.drawFormatBits(mask);
+    var score = qr.getPenaltyScore();
+    if (score < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = score;
+    }
+    qr.applyMask(mask); //Masks are XORs, so applying again undoes it
+  }
+  qr.applyMask(bestMask);
+  qr.drawFormatBits(bestMask);
+
+  return {
+    version: version,
+    size: qr.size,
+    modules: qr.modules
+  };
+}
+
+
+/* MATRIX */
+
+/**
+ * Grid of modules for a QR code of the given version
+ * @param {Number} version
+ * @param {Object} ecl - Error correction level
+ */
+function Matrix(version, ecl) {
+  this.version = version;
+  this.ecl = ecl;
+  this.size = version * 4 + 17;
+  this.modules = [];
+  this.isFunction = [];
+  for (var y = 0; y < this.size; y++) {
+    this.modules.push(fill(this.size, false));
+    this.isFunction.push(fill(this.size, false));
+  }
+}
+
+Matrix.prototype.setFunctionModule = function(x, y, dark) {
+  this.modules[y][x] = dark;
+  this.isFunction[y][x] = true;
+};
+
+Matrix.prototype.drawFunctionPatterns = function() {
+  var size = this.size;
+  var i;
+
+  //Timing patterns
+  for (i = 0; i < size; i++) {
+    this.setFunctionModule(6, i, i % 2 === 0);
+    this.setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  //Finder patterns in three corners
+  this.drawFinderPattern(3, 3);
+  this.drawFinderPattern(size - 4, 3);
+  this.drawFinderPattern(3, size - 4);
+
+  //Alignment patterns, except where they would overlap the finder patterns
+  var positions = this.getAlignmentPatternPositions();
+  var count = positions.length;
+  for (i = 0; i < count; i++) {
+    for (var j = 0; j < count; j++) {
+      if (!(i === 0 && j === 0 || i === 0 && j === count - 1 || i === count - 1 && j === 0)) {
+        this.drawAlignmentPattern(positions[i], positions[j]);
+      }
+    }
+  }
+
+  //Reserve the format areas (filled in once the mask is chosen) and draw version information
+  this.drawFormatBits(0);
+  this.drawVersion();
+};
+
+Matrix.prototype.drawFinderPattern = function(x, y) {
+  for (var dy = -4; dy <= 4; dy++) {
+    for (var dx = -4; dx <= 4; dx++) {
+      var distance = Math.max(Math.abs(dx), Math.abs(dy));
+      var xx = x + dx;
+      var yy = y + dy;
+      if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+};
+
+Matrix.prototype.drawAlignmentPattern = function(x, y) {
+  for (var dy = -2; dy <= 2; dy++) {
+    for (var dx = -2; dx <= 2; dx++) {
+      this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }
+};
+
+Matrix.prototype.getAlignmentPatternPositions = function() {
+  if (this.version === 1) {
+    return [];
+  }
+  var count = Math.floor(this.version / 7) + 2;
+  var step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+  var result = [6];
+  for (var pos = this.size - 7; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+};
+
+Matrix.prototype.drawFormatBits = function(mask) {
+  var size = this.size;
+  var data = this.ecl.formatBits << 3 | mask;
+  var rem = data;
+  var i;
+  for (i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  var bits = (data << 10 | rem) ^ 0x5412;
+
+  //First copy, around the top left finder pattern
+  for (i = 0; i <= 5; i++) {
+    this.setFunctionModule(8, i, getBit(bits, i));
+  }
+  this.setFunctionModule(8, 7, getBit(bits, 6));
+  this.setFunctionModule(8, 8, getBit(bits, 7));
+  this.setFunctionModule(7, 8, getBit(bits, 8));
+  for (i = 9; i < 15; i++) {
+    this.setFunctionModule(14 - i, 8, getBit(bits, i));
+  }
+
+  //Second copy, split between the other two finder patterns
+  for (i = 0; i < 8; i++) {
+    this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+  }
+  for (i = 8; i < 15; i++) {
+    this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+  }
+  this.setFunctionModule(8, size - 8, true); //Always dark
+};
+
+Matrix.prototype.drawVersion = function() {
+  if (this.version < 7) {
+    return;
+  }
+  var rem = this.version;
+  for (var i = 0; i < 12; i++) {
+    rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  }
+  var bits = this.version << 12 | rem;
+  for (var j = 0; j < 18; j++) {
+    var bit = getBit(bits, j);
+    var a = this.size - 11 + j % 3;
+    var b = Math.floor(j / 3);
+    this.setFunctionModule(a, b, bit);
+    this.setFunctionModule(b, a, bit);
+  }
+};
+
+Matrix.prototype.drawCodewords = function(data) {
+  var size = this.size;
+  var i = 0;
+  //Zigzag through pairs of columns from the bottom right, skipping the vertical timing pattern
+  for (var right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (var vert = 0; vert < size; vert++) {
+      for (var j = 0; j < 2; j++) {
+        var x = right - j;
+        var upward = ((right + 1) & 2) === 0;
+        var y = upward ? size - 1 - vert : vert;
+        if (!this.isFunction[y][x] && i < data.length * 8) {
+          this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+};
+
+Matrix.prototype.applyMask = function(mask) {
+  for (var y = 0; y < this.size; y++) {
+    for (var x = 0; x < this.size; x++) {
+      if (!this.isFunction[y][x] && maskApplies(mask, x, y)) {
+        this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+};
+
+Matrix.prototype.getPenaltyScore = function() {
+  var size = this.size;
+  var modules = this.modules;
+  var score = 0;
+  var dark = 0;
+  var x, y;
+
+  var column = function(x) {
+    return modules.map(function(row) {
+      return row[x];
+    });
+  };
+
+  //Runs of the same colour and finder-like patterns, in rows and columns
+  for (var i = 0; i < size; i++) {
+    score += linePenalty(modules[i]) + linePenalty(column(i));
+  }
+
+  //2x2 blocks of the same colour
+  for (y = 0; y < size - 1; y++) {
+    for (x = 0; x < size - 1; x++) {
+      var colour = modules[y][x];
+      if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+        score += penalty.block;
+      }
+    }
+  }
+
+  //Balance of dark and light modules
+  for (y = 0; y < size; y++) {
+    for (x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        dark++;
+      }
+    }
+  }
+  var total = size * size;
+  var k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  score += Math.max(0, k) * penalty.balance;
+
+  return score;
+};
+
+
+/* UTILITY */
+
+/**
+ * Penalty for a single row or column: long runs of one colour and patterns that look like finder patterns
+ * @param  {Array} line - Booleans
+ * @return {Number}
+ */
+function linePenalty(line) {
+  var score = 0;
+  var runLength = 1;
+  var i;
+  for (i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength++;
+    } else {
+      if (runLength >= 5) {
+        score += penalty.run + (runLength - 5);
+      }
+      runLength = 1;
+    }
+  }
+
+  var text = line.map(function(dark) {
+    return dark ? "1" : "0";
+  }).join("");
+  var patterns = [/(?=10111010000)/g, /(?=00001011101)/g];
+  patterns.forEach(function(pattern) {
+    var matches = text.match(pattern);
+    if (matches) {
+      score += matches.length * penalty.finderLike;
+    }
+  });
+  return score;
+}
+
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return x * y % 2 + x * y % 3 === 0;
+    case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+    default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+  }
+}
+
+function charCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function getNumRawDataModules(version) {
+  var result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    var numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    eccCodewordsPerBlock[ecl.ordinal][version] * numErrorCorrectionBlocks[ecl.ordinal][version];
+}
+
+/**
+ * Splits data into blocks, appends Reed-Solomon error correction to each and interleaves the result
+ * @param  {Array}  data - Data codewords
+ * @param  {Number} version
+ * @param  {Object} ecl - Error correction level
+ * @return {Array} - All codewords in placement order
+ */
+function addEccAndInterleave(data, version, ecl) {
+  var numBlocks = numErrorCorrectionBlocks[ecl.ordinal][version];
+  var blockEccLen = eccCodewordsPerBlock[ecl.ordinal][version];
+  var rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  var numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  var shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  var divisor = reedSolomonDivisor(blockEccLen);
+
+  var blocks = [];
+  for (var i = 0, k = 0; i < numBlocks; i++) {
+    var dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    var ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) {
+      dat.push(0);
+    }
+    blocks.push(dat.concat(ecc));
+  }
+
+  var result = [];
+  for (var n = 0; n < blocks[0].length; n++) {
+    for (var j = 0; j < blocks.length; j++) {
+      //Skip the padding byte added to short blocks
+      if (n !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(blocks[j][n]);
+      }
+    }
+  }
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  var result = fill(degree - 1, 0).concat([1]);
+  var root = 1;
+  for (var i = 0; i < degree; i++) {
+    for (var j = 0; j < result.length; j++) {
+      result[j] = reedSolomonMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = reedSolomonMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  var result = fill(divisor.length, 0);
+  data.forEach(function(b) {
+    var factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach(function(coefficient, i) {
+      result[i] ^= reedSolomonMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+//Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function reedSolomonMultiply(x, y) {
+  var z = 0;
+  for (var i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function appendBits(bits, value, length) {
+  for (var i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+function fill(length, value) {
+  var result = [];
+  for (var i = 0; i < length; i++) {
+    result.push(value);
+  }
+  return result;
+}
+
+
+module.exports = {
+  encode: encode
+};
@@ -0,0 +1,111 @@
+/**
+ * Removes secrets from data before it is logged
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var querystring = require("querystring"),
+    _ = require("underscore");
+
+
+/* CONSTANTS */
+
+var placeholder = "[REDACTED]";
+
+//Lower-cased names of fields, headers and query parameters that hold secrets
+var secretKeys = [
+  "client_secret",
+  "clientsecret",
+  "device_code",
+  "access_token",
+  "refresh_token",
+  "refreshtoken",
+  "id_token",
+  "token",
+  "code",
+  "code_verifier",
+  "assertion",
+  "private_key",
+  "passphrase",
+  "password",
+  "authorization"
+];
+
+
+/**
+ * Returns a copy of the value with secrets replaced. Plain objects and arrays are copied recursively,
+ * string fields with secret names and secret query parameters in URLs are replaced, other objects are replaced by their type name
+ * and primitive values are returned as they are.
+ * @param  {*} value
+ * @return {*}
+ */
+function redact(value) {
+  if (_.isArray(value)) {
+    return _.map(value, redact);
+  }
+  if (value instanceof Error) {
+    //Error codes (e.g. ECONNREFUSED) are not authorization codes, so keep them
+    return _.extend(redact(_.extend({}, value)), _.pick(value, "message", "code"));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  //Instances such as stores or Buffers may hold keys, so only their type is shown
+  if (!isPlainObject(value)) {
+    return "[" + (value.constructor && value.constructor.name || "Object") + "]";
+  }
+  var copy = {};
+  _.each(value, function(field, key) {
+    if (isSecret(key) && _.isString(field)) {
+      copy[key] = placeholder;
+    } else if (key === "url" && _.isString(field)) {
+      copy[key] = redactUrl(field);
+    } else {
+      copy[key] = redact(field);
+    }
+  });
+  return copy;
+}
+
+/**
+ * Replaces secret query parameters in a URL
+ * @param  {String} url
+ * @return {String}
+ */
+function redactUrl(url) {
+  var index = url.indexOf("?");
+  if (index === -1) {
+    return url;
+  }
+  var query = querystring.parse(url.slice(index + 1));
+  _.each(query, function(field, key) {
+    if (isSecret(key)) {
+      query[key] = placeholder;
+    }
+  });
+  return url.slice(0, index + 1) + querystring.stringify(query).replace(/%5BREDACTED%5D/g, placeholder);
+}
+
+/**
+ * @param  {String} key
+ * @return {Boolean} - Whether the field holds a secret
+ */
+function isSecret(key) {
+  return _.contains(secretKeys, String(key).toLowerCase());
+}
+
+/**
+ * @param  {Object} value
+ * @return {Boolean} - Whether the value is an object literal, rather than e.g. a store or a Buffer
+ */
+function isPlainObject(value) {
+  var prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+
+module.exports = {
+  redact: redact,
+  redactUrl: redactUrl,
+  placeholder: placeholder
+};
@@ -0,0 +1,116 @@
+/**
+ * Catalogue of Google OAuth scopes, used to check scopes before a device flow is started
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var _ = require("underscore");
+
+
+/* CONSTANTS */
+
+var prefix = "https://www.googleapis.com/auth/";
+
+//Scopes Google allows in the device flow, see https://developers.google.com/identity/protocols/oauth2/limited-input-device#allowedscopes
+var deviceFlowScopes = [
+  "openid",
+  prefix + "userinfo.email",
+  prefix + "userinfo.profile",
+  prefix + "drive.appdata",
+  prefix + "drive.file",
+  prefix + "youtube",
+  prefix + "youtube.readonly"
+];
+
+//Commonly used scopes that Google rejects in the device flow. They can still be used with service accounts
+var otherScopes = [
+  "calendar",
+  "calendar.events",
+  "calendar.readonly",
+  "cloud-platform",
+  "contacts",
+  "contacts.readonly",
+  "documents",
+  "documents.readonly",
+  "drive",
+  "drive.metadata.readonly",
+  "drive.readonly",
+  "gmail.compose",
+  "gmail.modify",
+  "gmail.readonly",
+  "gmail.send",
+  "photoslibrary.readonly",
+  "spreadsheets",
+  "spreadsheets.readonly",
+  "tasks",
+  "tasks.readonly",
+  "youtube.force-ssl",
+  "youtube.upload"
+].map(function(name) {
+  return prefix + name;
+});
+
+//Short names for catalogued scopes, e.g. drive.file, mapped to the full scope URLs
+var aliases = _.object(_.map(_.without(deviceFlowScopes.concat(otherScopes), "openid"), function(scope) {
+  return [scope.slice(prefix.length), scope];
+}));
+
+//Short names Google itself accepts and uses in token responses. They are sent as they are, but expanded for comparisons
+var googleAliases = {
+  email: prefix + "userinfo.email",
+  profile: prefix + "userinfo.profile"
+};
+
+
+/**
+ * Replaces short names with the full scope URLs Google expects. Google's own short names are left alone
+ * @param  {Array} scopes
+ * @return {Array}
+ */
+function resolveScopes(scopes) {
+  return _.map(scopes, function(scope) {
+    return aliases[scope] || scope;
+  });
+}
+
+/**
+ * Maps all short names to full scope URLs so scope lists can be compared
+ * @param  {Array} scopes
+ * @return {Array}
+ */
+function expandScopes(scopes) {
+  return _.map(resolveScopes(scopes), function(scope) {
+    return googleAliases[scope] || scope;
+  });
+}
+
+/**
+ * Finds the scopes that cannot be used in the device flow
+ * @param  {Array} scopes - Scopes as given in the options, full URLs or short names
+ * @return {Object} - disallowed (catalogued scopes Google rejects in the device flow) and unknown (scopes missing from the catalogue) arrays,
+ *                    listing the scopes as they were given. Both are empty if every scope is allowed
+ */
+function checkScopes(scopes) {
+  var result = {
+    disallowed: [],
+    unknown: []
+  };
+  _.each(scopes, function(scope) {
+    var expanded = expandScopes([scope])[0];
+    if (_.contains(otherScopes, expanded)) {
+      result.disallowed.push(scope);
+    } else if (!_.contains(deviceFlowScopes, expanded)) {
+      result.unknown.push(scope);
+    }
+  });
+  return result;
+}
+
+
+module.exports = {
+  deviceFlowScopes: deviceFlowScopes,
+  aliases: aliases,
+  resolveScopes: resolveScopes,
+  expandScopes: expandScopes,
+  checkScopes: checkScopes
+};
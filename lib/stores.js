@@ -0,0 +1,359 @@
+/**
+ * Token stores for persisting auth data between process restarts
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ *
+ * A store is any object implementing the following synchronous methods:
+ *  - get(): returns the previously stored auth data object, or null if nothing is stored
+ *  - set(data): persists the auth data object
+ *  - clear(): removes any stored auth data
+ *
+ * Stores shared between processes may also implement lock(callback), which waits until no other process is refreshing
+ * and calls back with an error or a function that releases the lock, and update(fn), which passes the stored data (or null)
+ * to fn and persists what it returns without letting another process write in between.
+ */
+
+var fs = require("fs"),
+    crypto = require("crypto"),
+    _ = require("underscore"),
+    FileLock = require("./lock");
+
+
+/* CONSTANTS */
+
+var cipher = "aes-256-gcm";
+
+//Authenticated with the ciphertext so envelopes from other formats or versions are rejected
+var additionalData = Buffer.from("google-device-auth:1");
+
+
+/**
+ * Keeps auth data in memory. Useful for sharing tokens between several instances in the same process.
+ * @param {Object} data - (optional) Initial auth data
+ */
+function MemoryStore(data) {
+  this._data = data ? _.extend({}, data) : null;
+}
+
+MemoryStore.prototype.get = function() {
+  return this._data ? _.extend({}, this._data) : null;
+};
+
+MemoryStore.prototype.set = function(data) {
+  this._data = _.extend({}, data);
+};
+
+MemoryStore.prototype.clear = function() {
+  this._data = null;
+};
+
+
+/**
+ * Keeps auth data in a JSON file. The file is only readable by the current user since it contains the refresh token.
+ * With locking enabled, processes sharing the file take turns to refresh and write, using lock files next to it.
+ * @param {String} path - Path of the JSON file
+ * @param {Object} options - (optional)
+ *    @param {Boolean} options.lock - (default false) Lock the file while refreshing and writing
+ *    @param {Number} options.staleTime - (default 60) Seconds after which a lock held from another machine is considered abandoned
+ *    @param {Number} options.lockTimeout - (default 120) Seconds to wait for a lock before giving up
+ */
+function FileStore(path, options) {
+  if (!path) {
+    throw new Error("FileStore requires a file path");
+  }
+  this.path = path;
+  options = options || {};
+  if (options.lock) {
+    var lockOptions = _.pick({
+      staleTime: options.staleTime,
+      timeout: options.lockTimeout
+    }, _.negate(_.isUndefined));
+    //Writes are locked separately since they are brief and a refresh can take a while
+    this._writeLock = new FileLock(path + ".lock", lockOptions);
+    this._refreshLock = new FileLock(path + ".refresh.lock", lockOptions);
+  }
+}
+
+FileStore.prototype.get = function() {
+  var contents;
+  try {
+    contents = fs.readFileSync(this.path, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+  return JSON.parse(contents);
+};
+
+FileStore.prototype.set = function(data) {
+  this._whileLocked(function() {
+    this._write(data);
+  });
+};
+
+FileStore.prototype.update = function(update) {
+  //The read is locked too, otherwise another process could write between the read and the write and its changes would be lost
+  this._whileLocked(function() {
+    this._write(update(this.get()));
+  });
+};
+
+FileStore.prototype.clear = function() {
+  this._whileLocked(function() {
+    try {
+      fs.unlinkSync(this.path);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    }
+  });
+};
+
+FileStore.prototype.lock = function(callback) {
+  var lock = this._refreshLock;
+  if (!lock) {
+    return process.nextTick(callback, null, function() {});
+  }
+  lock.acquire(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, _.once(lock.release.bind(lock)));
+  });
+};
+
+/**
+ * Writes the file, without locking
+ * @param {Object} data
+ */
+FileStore.prototype._write = function(data) {
+  //Write to a temporary file first so a crash never leaves a half-written token file behind
+  var tmpPath = this.path + "." + process.pid + ".tmp";
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 384 }); //0600
+  fs.renameSync(tmpPath, this.path);
+};
+
+/**
+ * Runs a write holding the write lock, if locking is enabled
+ * @param {Function} write - Called with the store as this
+ */
+FileStore.prototype._whileLocked = function(write) {
+  if (!this._writeLock) {
+    return write.call(this);
+  }
+  this._writeLock.acquireSync();
+  try {
+    write.call(this);
+  } finally {
+    this._writeLock.release();
+  }
+};
+
+
+/**
+ * Presents one entry of a shared store as a store of its own.
+ * The shared store holds an object of auth data keyed by account ID, e.g. { "<sub>": { refresh_token: ... } }
+ * @param {Object} store - Shared store
+ * @param {String} accountId - Key of the entry to read and write
+ */
+function AccountStore(store, accountId) {
+  this.store = store;
+  this.accountId = accountId;
+}
+
+AccountStore.prototype.get = function() {
+  var accounts = this.store.get() || {};
+  return accounts[this.accountId] || null;
+};
+
+AccountStore.prototype.set = function(data) {
+  var accountId = this.accountId;
+  updateStore(this.store, function(accounts) {
+    accounts = accounts || {};
+    accounts[accountId] = data;
+    return accounts;
+  });
+};
+
+AccountStore.prototype.clear = function() {
+  var accountId = this.accountId;
+  updateStore(this.store, function(accounts) {
+    accounts = accounts || {};
+    delete accounts[accountId];
+    return accounts;
+  });
+};
+
+AccountStore.prototype.lock = function(callback) {
+  lockStore(this.store, callback);
+};
+
+
+/**
+ * Encrypts auth data with AES-256-GCM before handing it to another store, e.g. a FileStore on a shared device.
+ * The key is either given directly or derived from a passphrase with scrypt, using a random salt that is kept with the data.
+ * Reading data that has been tampered with, was written with another key or was not encrypted throws an error with the code decryption_failed.
+ * @param {Object} store - Store that keeps the encrypted data
+ * @param {Object} options
+ *    @param {Buffer|String} options.key - 32 byte key, as a Buffer or hex string
+ *    @param {String} options.passphrase - Passphrase to derive the key from, if no key is given
+ */
+function EncryptedStore(store, options) {
+  options = options || {};
+  if (!store) {
+    throw new Error("EncryptedStore requires a store to wrap");
+  }
+  if (options.key) {
+    this._key = Buffer.isBuffer(options.key) ? options.key : Buffer.from(options.key, "hex");
+    if (this._key.length !== 32) {
+      throw new Error("EncryptedStore keys must be 32 bytes long");
+    }
+  } else if (options.passphrase) {
+    if (!crypto.scryptSync) {
+      throw new Error("EncryptedStore passphrases require Node 10.5 or later");
+    }
+    this._passphrase = options.passphrase;
+  } else {
+    throw new Error("EncryptedStore requires a key or passphrase");
+  }
+  this.store = store;
+  this._derived = null;
+}
+
+EncryptedStore.prototype.get = function() {
+  return this._decrypt(this.store.get());
+};
+
+EncryptedStore.prototype.set = function(data) {
+  this.store.set(this._encrypt(data));
+};
+
+EncryptedStore.prototype.update = function(update) {
+  var self = this;
+  updateStore(this.store, function(envelope) {
+    return self._encrypt(update(self._decrypt(envelope)));
+  });
+};
+
+EncryptedStore.prototype.clear = function() {
+  this.store.clear();
+};
+
+EncryptedStore.prototype.lock = function(callback) {
+  lockStore(this.store, callback);
+};
+
+/**
+ * Decrypts an envelope read from the wrapped store
+ * @param  {Object} envelope - Stored envelope, or null
+ * @return {Object} - Auth data, or null if nothing is stored
+ */
+EncryptedStore.prototype._decrypt = function(envelope) {
+  if (!envelope) {
+    return null;
+  }
+  if (envelope.cipher !== cipher || !envelope.iv || !envelope.tag || !envelope.data) {
+    throw decryptionError("Stored auth data is not encrypted");
+  }
+  var key = this._keyFor(envelope.salt);
+  var plaintext;
+  try {
+    var decipher = crypto.createDecipheriv(cipher, key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAAD(additionalData);
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+  } catch (err) {
+    throw decryptionError("Stored auth data failed its integrity check, it has been tampered with or the key is wrong");
+  }
+  return JSON.parse(plaintext.toString("utf8"));
+};
+
+/**
+ * Encrypts auth data into an envelope for the wrapped store
+ * @param  {Object} data
+ * @return {Object} - Envelope
+ */
+EncryptedStore.prototype._encrypt = function(data) {
+  var salt = this._passphrase ? (this._derived ? this._derived.salt : crypto.randomBytes(16).toString("base64")) : undefined;
+  //GCM must never reuse an IV with the same key, so every write gets a fresh one
+  var iv = crypto.randomBytes(12);
+  var encipher = crypto.createCipheriv(cipher, this._keyFor(salt), iv);
+  encipher.setAAD(additionalData);
+  var ciphertext = Buffer.concat([encipher.update(JSON.stringify(data), "utf8"), encipher.final()]);
+  return {
+    cipher: cipher,
+    kdf: salt ? "scrypt" : undefined,
+    salt: salt,
+    iv: iv.toString("base64"),
+    tag: encipher.getAuthTag().toString("base64"),
+    data: ciphertext.toString("base64")
+  };
+};
+
+/**
+ * Returns the encryption key, deriving it from the passphrase and salt if necessary.
+ * Derivation is deliberately slow, so the last derived key is kept
+ * @param  {String} salt - Base64 salt, only used with passphrases
+ * @return {Buffer}
+ */
+EncryptedStore.prototype._keyFor = function(salt) {
+  if (this._key) {
+    return this._key;
+  }
+  if (!salt) {
+    throw decryptionError("Stored auth data was not encrypted with a passphrase");
+  }
+  if (!this._derived || this._derived.salt !== salt) {
+    this._derived = {
+      salt: salt,
+      key: crypto.scryptSync(this._passphrase, Buffer.from(salt, "base64"), 32)
+    };
+  }
+  return this._derived.key;
+};
+
+/**
+ * Locks a wrapped store if it supports locking
+ * @param {Object} store
+ * @param {Function} callback - Called with an error or a release function
+ */
+function lockStore(store, callback) {
+  if (typeof store.lock !== "function") {
+    return process.nextTick(callback, null, function() {});
+  }
+  store.lock(callback);
+}
+
+/**
+ * Updates a wrapped store in one step if it supports it, otherwise reads and writes it
+ * @param {Object} store
+ * @param {Function} update - Called with the stored data or null, returns the data to store
+ */
+function updateStore(store, update) {
+  if (typeof store.update === "function") {
+    return store.update(update);
+  }
+  store.set(update(store.get()));
+}
+
+/**
+ * Creates the error thrown when stored data cannot be decrypted
+ * @param  {String} message
+ * @return {Error}
+ */
+function decryptionError(message) {
+  var error = new Error(message);
+  error.code = "decryption_failed";
+  return error;
+}
+
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  FileStore: FileStore,
+  AccountStore: AccountStore,
+  EncryptedStore: EncryptedStore
+};
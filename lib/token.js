@@ -0,0 +1,83 @@
+/**
+ * Access tokens with an absolute expiry, as delivered by GoogleDeviceAuth events
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ */
+
+var _ = require("underscore");
+
+
+/**
+ * An access token built from a Google token response. The fields of the response (access_token, token_type, expires_in, scope,
+ * refresh_token, id_token...) are kept as they are, so a Token can be used wherever the raw response was.
+ * Since expires_in is relative to the moment the response arrived, the absolute expiry is recorded as expires_at, the name stores use, and is also available as expiresAt.
+ * @param {Object} data - Token response, or data previously returned by toJSON()
+ * @param {Number} receivedAt - (optional) Time in milliseconds the response was received. Defaults to now
+ */
+function Token(data, receivedAt) {
+  data = data || {};
+  var now = Date.now();
+  _.each(_.keys(data), function(key) {
+    if (!_.contains(["expires_at", "scopes"], key)) {
+      this[key] = data[key];
+    }
+  }, this);
+
+  //Serialised tokens carry their expiry, responses only say how long they are valid for
+  if (data.expires_at) {
+    this.expires_at = data.expires_at;
+    this.expires_in = Math.max(0, Math.floor((data.expires_at - now) / 1000));
+  } else if (data.expires_in) {
+    this.expires_at = (receivedAt || now) + data.expires_in * 1000;
+  } else {
+    this.expires_at = null;
+  }
+  this.scopes = this.scope ? this.scope.split(" ") : [];
+}
+
+/**
+ * The absolute expiry in milliseconds, or null if unknown. Alias of expires_at, which is the name used when tokens are stored
+ */
+Object.defineProperty(Token.prototype, "expiresAt", {
+  get: function() {
+    return this.expires_at;
+  }
+});
+
+/**
+ * Recreates a Token from toJSON() output
+ * @param  {Object|String} json - Object returned by toJSON(), or its JSON string
+ * @return {Token}
+ */
+Token.fromJSON = function(json) {
+  return new Token(_.isString(json) ? JSON.parse(json) : json);
+};
+
+/**
+ * @param  {Number} skew - (optional) Seconds before expiry from which the token is treated as expired. Default is 0
+ * @return {Boolean} - Whether the access token is missing or has expired. Tokens without a known expiry never expire
+ */
+Token.prototype.isExpired = function(skew) {
+  if (!this.access_token) {
+    return true;
+  }
+  return this.expires_at !== null && this.expires_at - (skew || 0) * 1000 <= Date.now();
+};
+
+/**
+ * Returns the token's fields for serialisation. The relative expires_in and the scopes array are left out,
+ * since fromJSON() recalculates them from expires_at and scope
+ * @return {Object}
+ */
+Token.prototype.toJSON = function() {
+  var json = {};
+  _.each(_.keys(this), function(key) {
+    if (key !== "expires_in" && key !== "scopes" && this[key] !== undefined) {
+      json[key] = this[key];
+    }
+  }, this);
+  return json;
+};
+
+
+module.exports = Token;
@@ -0,0 +1,101 @@
+/**
+ * Default HTTP transport built on the core http/https modules
+ * Author: Oliver Woodings oliver.woodings@gmail.com
+ * License: MIT (see LICENSE.md)
+ *
+ * A transport is a function taking request options and a node-style callback:
+ *
+ * transport({
+ *   method: "POST",
+ *   url: "https://oauth2.googleapis.com/token",
+ *   form: { grant_type: "refresh_token" },   //(optional) sent as an application/x-www-form-urlencoded body
+ *   body: "...",                             //(optional) string or Buffer sent as is when there is no form
+ *   headers: { "Accept": "application/json" } //(optional)
+ * }, function(err, response) {
+ *   //response contains status (Number), headers (Object) and body (String)
+ * });
+ */
+
+var http = require("http"),
+    https = require("https"),
+    url = require("url"),
+    querystring = require("querystring"),
+    _ = require("underscore");
+
+
+/* CONSTANTS */
+
+//Stalled connections (e.g. behind proxies) never error by themselves, so requests give up after this long without any data
+var defaultTimeout = 30000;
+
+
+/**
+ * Creates a transport function
+ * @param  {Object} config - (optional) Transport configuration
+ *    @param {http.Agent} config.agent - Agent used for all requests, e.g. a proxy or keep-alive agent
+ *    @param {Number} config.timeout - (default 30000) Milliseconds of socket inactivity before a request is aborted. 0 disables the timeout
+ * @return {Function}
+ */
+function createTransport(config) {
+  config = config || {};
+  var timeout = config.timeout === undefined ? defaultTimeout : config.timeout;
+
+  return function(options, callback) {
+    //Errors may follow a response (e.g. a reset socket), make sure the caller only hears about one of them
+    callback = _.once(callback);
+
+    var target = url.parse(options.url);
+    var body = null;
+    var headers = _.extend({}, options.headers);
+
+    if (options.form) {
+      body = querystring.stringify(options.form);
+      headers["Content-Type"] = "application/x-www-form-urlencoded";
+    } else if (options.body !== undefined && options.body !== null) {
+      body = options.body;
+    }
+    if (body !== null) {
+      headers["Content-Length"] = Buffer.byteLength(body);
+    }
+
+    var req = (target.protocol === "http:" ? http : https).request({
+      method: options.method || "GET",
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      headers: headers,
+      agent: config.agent
+    }, function(res) {
+      var chunks = [];
+      res.on("data", function(chunk) {
+        chunks.push(chunk);
+      });
+      res.on("end", function() {
+        callback(null, {
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString("utf8")
+        });
+      });
+      res.on("error", callback);
+    });
+
+    if (timeout) {
+      req.setTimeout(timeout, function() {
+        var err = new Error("Request timed out");
+        err.code = "ETIMEDOUT";
+        req.destroy(err);
+      });
+    }
+
+    req.on("error", callback);
+    req.end(body === null ? undefined : body);
+  };
+}
+
+
+module.exports = {
+  createTransport: createTransport,
+  httpTransport: createTransport()
+};
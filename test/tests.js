@@ -1,12 +1,22 @@
 var expect = require("expect.js"),
     _ = require("underscore"),
-    GoogleDeviceAuth = require("../lib/auth");
+    fs = require("fs"),
+    crypto = require("crypto"),
+    childProcess = require("child_process"),
+    http = require("http"),
+    os = require("os"),
+    path = require("path"),
+    GoogleDeviceAuth = require("../lib/auth"),
+    idtoken = require("../lib/idtoken"),
+    FileLock = require("../lib/lock");
 
 beforeEach(function() {
   this.auth = new GoogleDeviceAuth({
     clientId: "testid",
     clientSecret: "testsecret",
-    scopes: ["https://www.googleapis.com/auth/drive"]
+    scopes: ["https://www.googleapis.com/auth/drive.file"],
+    //Keep tests off the network, requests that are not stubbed never complete
+    transport: function() {}
   });
   this.auth.on("error", function() {});
 });
@@ -156,6 +166,44 @@ describe("User code request handler", function() {
 
 });
 
+describe("User code normalisation", function() {
+
+  it("should default the poll interval if Google does not return one", function(done) {
+    var auth = this.auth;
+    auth._pollAuthEndpoint = function() {};
+    auth.on(GoogleDeviceAuth.events.userCode, function(data) {
+      expect(data.interval).to.equal(5);
+      done();
+    });
+    auth._handleUserCodeResponse({
+      device_code: "device_code",
+      user_code: "user_code",
+      verification_url: "https://www.google.com/device",
+      expires_in: 100
+    });
+  });
+
+  it("should provide both verification_uri and verification_url", function(done) {
+    var auth = this.auth;
+    auth._pollAuthEndpoint = function() {};
+    auth.on(GoogleDeviceAuth.events.userCode, function(data) {
+      expect(data.verification_uri).to.equal("https://www.google.com/device");
+      expect(data.verification_url).to.equal("https://www.google.com/device");
+      expect(data.verification_uri_complete).to.equal("https://www.google.com/device?user_code=user_code");
+      done();
+    });
+    auth._handleUserCodeResponse({
+      device_code: "device_code",
+      user_code: "user_code",
+      verification_uri: "https://www.google.com/device",
+      verification_uri_complete: "https://www.google.com/device?user_code=user_code",
+      expires_in: 100,
+      interval: 5
+    });
+  });
+
+});
+
 describe("Poll response handler", function() {
 
   it("should re-call _pollAuthEndpoint on authorization_pending", function(done) {
@@ -164,17 +212,33 @@ describe("Poll response handler", function() {
       done();
     };
     auth._userCode = {
-      interval: 1
+      interval: 0.001
     };
     auth._handlePollResponse({
       error: "authorization_pending"
     });
   });
 
-  it("should re-call _pollAuthEndpoint on slow_down and increment userCode interval", function(done) {
+  it("should wait userCode interval seconds between polls", function(done) {
     var auth = this.auth;
-    auth._pollAuthEndpoint = function() {
-      expect(auth._userCode.interval).to.equal(2);
+    var realSetTimeout = setTimeout;
+    auth._userCode = {
+      interval: 5
+    };
+    global.setTimeout = function(fn, delay) {
+      global.setTimeout = realSetTimeout;
+      expect(delay).to.equal(5000);
+      done();
+    };
+    auth._handlePollResponse({
+      error: "authorization_pending"
+    });
+  });
+
+  it("should schedule another poll on slow_down and increase userCode interval by 5 seconds", function(done) {
+    var auth = this.auth;
+    auth._schedulePoll = function() {
+      expect(auth._userCode.interval).to.equal(6);
       done();
     };
     auth._userCode = {
@@ -185,6 +249,44 @@ describe("Poll response handler", function() {
     });
   });
 
+  it("should emit an access denied error when the user declines", function(done) {
+    var auth = this.auth;
+    auth.on(GoogleDeviceAuth.events.errors.accessDenied, function(err) {
+      expect(err.data.error).to.equal("access_denied");
+      done();
+    });
+    auth._handlePollResponse({
+      error: "access_denied"
+    });
+  });
+
+  it("should emit an expired token error when the device code expires", function(done) {
+    var auth = this.auth;
+    auth.on(GoogleDeviceAuth.events.errors.expiredToken, function() {
+      done();
+    });
+    auth._handlePollResponse({
+      error: "expired_token"
+    });
+  });
+
+  it("should send the device code with the RFC 8628 grant type", function(done) {
+    var auth = this.auth;
+    auth._userCode = {
+      device_code: "device_code",
+      expires_in: 100,
+      interval: 5
+    };
+    auth._pollStartTime = new Date();
+    auth._makeRequest = function(options) {
+      expect(options.url).to.equal("https://oauth2.googleapis.com/token");
+      expect(options.form.device_code).to.equal("device_code");
+      expect(options.form.grant_type).to.equal("urn:ietf:params:oauth:grant-type:device_code");
+      done();
+    };
+    auth._pollAuthEndpoint();
+  });
+
   it("should emit a google error with data on unexpected error", function(done) {
     var auth = this.auth;
     auth.on(GoogleDeviceAuth.events.errors.googleError, function(err) {
@@ -327,4 +429,3160 @@ describe("Refresh response handler", function() {
     });
   });
 
-});
\ No newline at end of file
+});
+
+describe("Promise API", function() {
+
+  it("should resolve authenticate with token data on success", function() {
+    var auth = this.auth;
+    auth._requestUserCode = function() {
+      auth._handlePollResponse({
+        access_token: "test"
+      });
+    };
+    return auth.authenticate().then(function(data) {
+      expect(data.access_token).to.equal("test");
+    });
+  });
+
+  it("should still emit authSuccess when using authenticate", function(done) {
+    var auth = this.auth;
+    auth._requestUserCode = function() {
+      auth._handlePollResponse({
+        access_token: "test"
+      });
+    };
+    auth.on(GoogleDeviceAuth.events.authSuccess, function() {
+      done();
+    });
+    auth.authenticate();
+  });
+
+  it("should reject authenticate with a coded error", function() {
+    var auth = this.auth;
+    delete auth.options.clientId;
+    return auth.authenticate().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("missing_client_id");
+    });
+  });
+
+  it("should remove its listeners once settled", function() {
+    var auth = this.auth;
+    var errorListeners = auth.listeners(GoogleDeviceAuth.events.error).length;
+    delete auth.options.clientId;
+    return auth.authenticate().then(null, function() {
+      expect(auth.listeners(GoogleDeviceAuth.events.error).length).to.equal(errorListeners);
+      expect(auth.listeners(GoogleDeviceAuth.events.newAccessToken).length).to.equal(0);
+    });
+  });
+
+  it("should resolve refreshAsync with refreshed token data", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      auth._handleRefreshResponse({
+        access_token: "refreshed"
+      });
+    };
+    return auth.refreshAsync().then(function(data) {
+      expect(data.access_token).to.equal("refreshed");
+    });
+  });
+
+  it("should wait for re-authentication when a refresh token is rejected", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      auth._handleRefreshResponse({
+        error: "invalid_grant"
+      });
+    };
+    auth._requestUserCode = function() {
+      auth._handlePollResponse({
+        access_token: "reauthed"
+      });
+    };
+    return auth.refreshAsync().then(function(data) {
+      expect(data.access_token).to.equal("reauthed");
+    });
+  });
+
+  it("should reject refreshAsync on invalid refresh token if autoAttemptReAuth is disabled", function() {
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      refreshToken: "refresh",
+      autoAttemptReAuth: false
+    });
+    auth._requestTokenRefresh = function() {
+      auth._handleRefreshResponse({
+        error: "invalid_grant"
+      });
+    };
+    return auth.refreshAsync().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_refresh_token");
+    });
+  });
+
+  it("should resolve getAccessToken with a cached token without making requests", function() {
+    var auth = this.auth;
+    auth.authData.access_token = "cached";
+    auth._requestUserCode = function() {
+      throw new Error("Should not request");
+    };
+    return auth.getAccessToken().then(function(token) {
+      expect(token).to.equal("cached");
+    });
+  });
+
+  it("should authenticate in getAccessToken if no token is present", function() {
+    var auth = this.auth;
+    auth._requestUserCode = function() {
+      auth._handlePollResponse({
+        access_token: "test"
+      });
+    };
+    return auth.getAccessToken().then(function(token) {
+      expect(token).to.equal("test");
+    });
+  });
+
+});
+
+
+describe("Token store", function() {
+
+  function createAuth(store) {
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
+      store: store
+    });
+    auth.on("error", function() {});
+    return auth;
+  }
+
+  it("should restore the refresh token and unexpired access token on construction", function() {
+    var store = new GoogleDeviceAuth.MemoryStore({
+      access_token: "access",
+      refresh_token: "refresh",
+      expires_at: Date.now() + 60000
+    });
+    var auth = createAuth(store);
+    expect(auth.options.refreshToken).to.equal("refresh");
+    expect(auth.authData.access_token).to.equal("access");
+    expect(auth.authData.expires_in).to.be.within(59, 60);
+  });
+
+  it("should not restore an expired access token", function() {
+    var store = new GoogleDeviceAuth.MemoryStore({
+      access_token: "access",
+      refresh_token: "refresh",
+      expires_at: Date.now() - 1000
+    });
+    var auth = createAuth(store);
+    expect(auth.options.refreshToken).to.equal("refresh");
+    expect(auth.authData.access_token).to.be(undefined);
+  });
+
+  it("should prefer a refresh token passed in the options", function() {
+    var auth = new GoogleDeviceAuth({
+      refreshToken: "options",
+      store: new GoogleDeviceAuth.MemoryStore({ refresh_token: "stored" })
+    });
+    expect(auth.options.refreshToken).to.equal("options");
+  });
+
+  it("should write new auth data through to the store", function() {
+    var store = new GoogleDeviceAuth.MemoryStore();
+    var auth = createAuth(store);
+    auth._handlePollResponse({
+      access_token: "access",
+      refresh_token: "refresh",
+      expires_in: 3600
+    });
+    var stored = store.get();
+    expect(stored.access_token).to.equal("access");
+    expect(stored.refresh_token).to.equal("refresh");
+    expect(stored.expires_at).to.be.greaterThan(Date.now());
+    expect(stored).not.to.have.key("expires_in");
+  });
+
+  it("should keep the refresh token in the store after a refresh", function() {
+    var store = new GoogleDeviceAuth.MemoryStore({ refresh_token: "refresh" });
+    var auth = createAuth(store);
+    auth._handleRefreshResponse({
+      access_token: "access"
+    });
+    expect(store.get().refresh_token).to.equal("refresh");
+  });
+
+  it("should load a stored refresh token when auth is called", function(done) {
+    var store = new GoogleDeviceAuth.MemoryStore();
+    var auth = createAuth(store);
+    store.set({ refresh_token: "refresh" });
+    auth._requestTokenRefresh = function() {
+      expect(auth.options.refreshToken).to.equal("refresh");
+      done();
+    };
+    auth.auth();
+  });
+
+  it("should clear the store when the refresh token is rejected", function() {
+    var store = new GoogleDeviceAuth.MemoryStore({ refresh_token: "refresh" });
+    var auth = createAuth(store);
+    auth._requestUserCode = function() {};
+    auth._handleRefreshResponse({
+      error: "invalid_grant"
+    });
+    expect(store.get()).to.be(null);
+  });
+
+  it("should emit a store error and still deliver the token if the store fails", function(done) {
+    var auth = createAuth({
+      get: function() { return null; },
+      set: function() { throw new Error("disk full"); },
+      clear: function() {}
+    });
+    var delivered = false;
+    auth.on(GoogleDeviceAuth.events.newAccessToken, function() {
+      delivered = true;
+    });
+    auth.on(GoogleDeviceAuth.events.errors.storeError, function(err) {
+      expect(delivered).to.equal(true);
+      expect(err.data.message).to.equal("disk full");
+      done();
+    });
+    auth._handlePollResponse({
+      access_token: "access"
+    });
+  });
+
+  describe("FileStore", function() {
+
+    beforeEach(function() {
+      this.path = path.join(os.tmpdir(), "google-device-auth-test-" + process.pid + ".json");
+      this.store = new GoogleDeviceAuth.FileStore(this.path);
+    });
+
+    afterEach(function() {
+      this.store.clear();
+    });
+
+    it("should return null if the file does not exist", function() {
+      expect(this.store.get()).to.be(null);
+    });
+
+    it("should round trip data through the file", function() {
+      this.store.set({ refresh_token: "refresh" });
+      expect(this.store.get().refresh_token).to.equal("refresh");
+      expect(JSON.parse(fs.readFileSync(this.path, "utf8")).refresh_token).to.equal("refresh");
+    });
+
+    it("should remove the file on clear", function() {
+      this.store.set({ refresh_token: "refresh" });
+      this.store.clear();
+      expect(fs.existsSync(this.path)).to.equal(false);
+    });
+
+  });
+
+  describe("EncryptedStore", function() {
+
+    var key = crypto.randomBytes(32);
+
+    beforeEach(function() {
+      this.inner = new GoogleDeviceAuth.MemoryStore();
+    });
+
+    function expectDecryptionFailure(store) {
+      expect(function() {
+        store.get();
+      }).to.throwError(function(err) {
+        expect(err.code).to.equal("decryption_failed");
+      });
+    }
+
+    it("should round trip data without storing it in plain text", function() {
+      var store = new GoogleDeviceAuth.EncryptedStore(this.inner, { key: key });
+      store.set({ refresh_token: "refresh" });
+      var envelope = this.inner.get();
+      expect(envelope.cipher).to.equal("aes-256-gcm");
+      expect(JSON.stringify(envelope)).not.to.contain("refresh");
+      expect(store.get()).to.eql({ refresh_token: "refresh" });
+    });
+
+    it("should use a fresh IV for every write", function() {
+      var store = new GoogleDeviceAuth.EncryptedStore(this.inner, { key: key.toString("hex") });
+      store.set({ refresh_token: "refresh" });
+      var first = this.inner.get();
+      store.set({ refresh_token: "refresh" });
+      expect(this.inner.get().iv).not.to.equal(first.iv);
+      expect(this.inner.get().data).not.to.equal(first.data);
+    });
+
+    it("should derive the key from a passphrase", function() {
+      new GoogleDeviceAuth.EncryptedStore(this.inner, { passphrase: "correct horse" }).set({ refresh_token: "refresh" });
+      expect(this.inner.get().kdf).to.equal("scrypt");
+      expect(new GoogleDeviceAuth.EncryptedStore(this.inner, { passphrase: "correct horse" }).get().refresh_token).to.equal("refresh");
+      expectDecryptionFailure(new GoogleDeviceAuth.EncryptedStore(this.inner, { passphrase: "battery staple" }));
+    });
+
+    it("should throw a decryption error for tampered data or the wrong key", function() {
+      var store = new GoogleDeviceAuth.EncryptedStore(this.inner, { key: key });
+      store.set({ refresh_token: "refresh" });
+      expectDecryptionFailure(new GoogleDeviceAuth.EncryptedStore(this.inner, { key: crypto.randomBytes(32) }));
+      var envelope = this.inner.get();
+      var data = Buffer.from(envelope.data, "base64");
+      data[0] ^= 1;
+      envelope.data = data.toString("base64");
+      this.inner.set(envelope);
+      expectDecryptionFailure(store);
+    });
+
+    it("should refuse data that is not encrypted", function() {
+      this.inner.set({ refresh_token: "planted" });
+      expectDecryptionFailure(new GoogleDeviceAuth.EncryptedStore(this.inner, { key: key }));
+    });
+
+    it("should require a 32 byte key or a passphrase", function() {
+      var inner = this.inner;
+      expect(function() {
+        new GoogleDeviceAuth.EncryptedStore(inner, { key: crypto.randomBytes(16) });
+      }).to.throwError(/32 bytes/);
+      expect(function() {
+        new GoogleDeviceAuth.EncryptedStore(inner);
+      }).to.throwError(/key or passphrase/);
+    });
+
+    it("should emit a decryption failed error rather than a store error", function(done) {
+      var store = new GoogleDeviceAuth.EncryptedStore(this.inner, { key: key });
+      this.inner.set({ refresh_token: "planted" });
+      var auth = new GoogleDeviceAuth({ store: store });
+      auth.on("error", function(err) {
+        expect(err.code).to.equal("decryption_failed");
+        expect(auth.options.refreshToken).to.be(undefined);
+        done();
+      });
+    });
+
+  });
+
+});
+
+
+describe("Automatic refresh", function() {
+
+  afterEach(function() {
+    this.auth.stopAutoRefresh();
+  });
+
+  it("should not schedule refreshes unless enabled", function() {
+    var auth = this.auth;
+    auth._handlePollResponse({
+      access_token: "test",
+      expires_in: 3600
+    });
+    expect(auth._refreshTimer).to.not.be.ok();
+  });
+
+  it("should schedule a refresh after a new token is stored", function() {
+    var auth = this.auth;
+    auth.startAutoRefresh();
+    auth._handlePollResponse({
+      access_token: "test",
+      expires_in: 3600
+    });
+    expect(auth._refreshTimer).to.be.ok();
+  });
+
+  it("should refresh refreshMargin seconds before expiry", function() {
+    var auth = this.auth;
+    auth.authData.expires_at = Date.now() + 3600 * 1000;
+    expect(auth._refreshDelay()).to.be.within(3299 * 1000, 3300 * 1000);
+  });
+
+  it("should wait for at least half the remaining lifetime if refreshMargin is longer", function() {
+    var auth = this.auth;
+    auth.options.refreshMargin = 3600;
+    auth.authData.expires_at = Date.now() + 3599 * 1000;
+    expect(auth._refreshDelay()).to.be.within(1799 * 1000, 1799.5 * 1000);
+  });
+
+  it("should refresh when due", function(done) {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      done();
+    };
+    auth.startAutoRefresh();
+    auth._handlePollResponse({
+      access_token: "test",
+      expires_in: 0.02
+    });
+  });
+
+  it("should not refresh back to back if refreshMargin exceeds the token lifetime", function(done) {
+    var auth = this.auth;
+    var refreshes = 0;
+    auth.options.refreshMargin = 3600;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      refreshes++;
+      auth._handleRefreshResponse({ access_token: "fresh", expires_in: 3599 });
+    };
+    auth.startAutoRefresh();
+    auth._handlePollResponse({
+      access_token: "test",
+      expires_in: 3599
+    });
+    setTimeout(function() {
+      expect(refreshes).to.equal(0);
+      done();
+    }, 50);
+  });
+
+  it("should retry transient failures with an increasing delay", function(done) {
+    var auth = this.auth;
+    var attempts = 0;
+    auth.options.refreshRetryDelay = 0.001;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      attempts++;
+      if (attempts < 3) {
+        return auth._handleRefreshResponse({ error: "backend_error" });
+      }
+      expect(auth._refreshRetryDelay).to.equal(0.002);
+      done();
+    };
+    auth.startAutoRefresh();
+    auth._scheduleRefresh(0);
+  });
+
+  it("should not retry failures that are not transient", function(done) {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    delete auth.options.clientSecret;
+    auth.startAutoRefresh();
+    auth._scheduleRefresh(0);
+    auth.once(GoogleDeviceAuth.events.errors.missingClientSecret, function() {
+      setTimeout(function() {
+        expect(auth._refreshTimer).to.not.be.ok();
+        done();
+      }, 5);
+    });
+  });
+
+  it("should clear pending refreshes when stopped", function() {
+    var auth = this.auth;
+    auth.startAutoRefresh();
+    auth._handlePollResponse({
+      access_token: "test",
+      expires_in: 3600
+    });
+    auth.stopAutoRefresh();
+    expect(auth._refreshTimer).to.not.be.ok();
+  });
+
+});
+
+
+describe("getValidAccessToken", function() {
+
+  it("should resolve with the cached token if it is still valid", function() {
+    var auth = this.auth;
+    auth.authData.access_token = "cached";
+    auth.authData.expires_at = Date.now() + 3600000;
+    auth.refresh = function() {
+      throw new Error("Should not refresh");
+    };
+    return auth.getValidAccessToken().then(function(token) {
+      expect(token).to.equal("cached");
+    });
+  });
+
+  it("should refresh a token that expires within the clock skew", function() {
+    var auth = this.auth;
+    auth.authData.access_token = "cached";
+    auth.authData.expires_at = Date.now() + 30000;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      auth._handleRefreshResponse({
+        access_token: "refreshed",
+        expires_in: 3600
+      });
+    };
+    return auth.getValidAccessToken().then(function(token) {
+      expect(token).to.equal("refreshed");
+    });
+  });
+
+  it("should accept a custom skew", function() {
+    var auth = this.auth;
+    auth.authData.access_token = "cached";
+    auth.authData.expires_at = Date.now() + 30000;
+    return auth.getValidAccessToken(10).then(function(token) {
+      expect(token).to.equal("cached");
+    });
+  });
+
+  it("should make a single refresh request for concurrent callers", function() {
+    var auth = this.auth;
+    var requests = 0;
+    var refreshEvents = 0;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      requests++;
+      setTimeout(function() {
+        auth._handleRefreshResponse({
+          access_token: "refreshed",
+          expires_in: 3600
+        });
+      }, 5);
+    };
+    auth.on(GoogleDeviceAuth.events.refreshSuccess, function() {
+      refreshEvents++;
+    });
+    return Promise.all([
+      auth.getValidAccessToken(),
+      auth.getValidAccessToken(),
+      auth.getValidAccessToken()
+    ]).then(function(tokens) {
+      expect(tokens).to.eql(["refreshed", "refreshed", "refreshed"]);
+      expect(requests).to.equal(1);
+      expect(refreshEvents).to.equal(1);
+    });
+  });
+
+  it("should share a failure with all concurrent callers and allow a later retry", function() {
+    var auth = this.auth;
+    var requests = 0;
+    auth.options.refreshToken = "refresh";
+    auth._requestTokenRefresh = function() {
+      requests++;
+      setTimeout(function() {
+        auth._handleRefreshResponse({ error: "backend_error" });
+      }, 5);
+    };
+    function expectFailure(promise) {
+      return promise.then(function() {
+        throw new Error("Expected rejection");
+      }, function(err) {
+        return err.code;
+      });
+    }
+    return Promise.all([
+      expectFailure(auth.getValidAccessToken()),
+      expectFailure(auth.getValidAccessToken())
+    ]).then(function(codes) {
+      expect(codes).to.eql(["google_error", "google_error"]);
+      expect(requests).to.equal(1);
+      return expectFailure(auth.getValidAccessToken());
+    }).then(function() {
+      expect(requests).to.equal(2);
+    });
+  });
+
+});
+
+
+describe("Authorized requests", function() {
+
+  var apiUrl = "https://www.googleapis.com/drive/v3/files";
+
+  //Answers API requests with apiStatuses in turn and token requests with tokenResponse
+  function fakeGoogle(auth, apiStatuses, tokenResponse) {
+    var seen = { api: [], token: 0 };
+    auth.options.transport = function(options, callback) {
+      if (options.url === apiUrl) {
+        seen.api.push(options.headers.Authorization);
+        var status = apiStatuses.shift();
+        return callback(null, {
+          status: status,
+          headers: {},
+          body: status === 200 ? "{\"files\":[]}" : "{\"error\":{\"code\":401}}"
+        });
+      }
+      seen.token++;
+      callback(null, { status: 200, headers: {}, body: JSON.stringify(tokenResponse) });
+    };
+    return seen;
+  }
+
+  beforeEach(function() {
+    this.auth.authData.access_token = "stale";
+    this.auth.authData.expires_at = Date.now() + 3600000;
+    this.auth.options.refreshToken = "refresh";
+  });
+
+  it("should send the access token as a bearer token and resolve with the response", function() {
+    var seen = fakeGoogle(this.auth, [200]);
+    return this.auth.authorizedRequest({ url: apiUrl }).then(function(response) {
+      expect(response.status).to.equal(200);
+      expect(JSON.parse(response.body).files).to.eql([]);
+      expect(seen.api).to.eql(["Bearer stale"]);
+      expect(seen.token).to.equal(0);
+    });
+  });
+
+  it("should refresh once and retry when the token is rejected", function() {
+    var seen = fakeGoogle(this.auth, [401, 200], { access_token: "fresh", expires_in: 3600 });
+    return this.auth.authorizedRequest({ url: apiUrl }).then(function(response) {
+      expect(response.status).to.equal(200);
+      expect(seen.api).to.eql(["Bearer stale", "Bearer fresh"]);
+      expect(seen.token).to.equal(1);
+    });
+  });
+
+  it("should resolve with the second 401 rather than refreshing again", function() {
+    var seen = fakeGoogle(this.auth, [401, 401], { access_token: "fresh", expires_in: 3600 });
+    return this.auth.authorizedRequest({ url: apiUrl }).then(function(response) {
+      expect(response.status).to.equal(401);
+      expect(seen.token).to.equal(1);
+    });
+  });
+
+  it("should reject with an invalid refresh token error without starting a re-authentication", function() {
+    var auth = this.auth;
+    var reAuths = 0;
+    fakeGoogle(auth, [401], { error: "invalid_grant" });
+    auth.auth = function() {
+      reAuths++;
+    };
+    return auth.authorizedRequest({ url: apiUrl }).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_refresh_token");
+      expect(reAuths).to.equal(0);
+      expect(auth.listeners(GoogleDeviceAuth.events.newAccessToken)).to.eql([]);
+      expect(auth.listeners(GoogleDeviceAuth.events.error).length).to.equal(1);
+    });
+  });
+
+  it("should reject without starting a re-authentication if the token expired before the call", function() {
+    var auth = this.auth;
+    var seen = fakeGoogle(auth, [200], { error: "invalid_grant" });
+    var reAuths = 0;
+    auth.auth = function() {
+      reAuths++;
+    };
+    auth.authData.expires_at = Date.now() - 1000;
+    return Promise.all([
+      auth.authorizedRequest({ url: apiUrl }),
+      auth.authorizedRequest({ url: apiUrl })
+    ]).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_refresh_token");
+      expect(reAuths).to.equal(0);
+      expect(seen.token).to.equal(1);
+      expect(seen.api).to.eql([]);
+      return auth.authorizedRequest({ url: apiUrl });
+    }).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("missing_refresh_token");
+      expect(reAuths).to.equal(0);
+    });
+  });
+
+  it("should refresh a token that expired before the call", function() {
+    var seen = fakeGoogle(this.auth, [200], { access_token: "fresh", expires_in: 3600 });
+    this.auth.authData.expires_at = Date.now() - 1000;
+    return this.auth.authorizedRequest({ url: apiUrl }).then(function(response) {
+      expect(response.status).to.equal(200);
+      expect(seen.api).to.eql(["Bearer fresh"]);
+    });
+  });
+
+  it("should reject transport errors as network errors", function() {
+    this.auth.options.transport = function(options, callback) {
+      callback(new Error("connection refused"));
+    };
+    return this.auth.authorizedRequest({ url: apiUrl }).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("network_error");
+    });
+  });
+
+});
+
+
+describe("Cancellation", function() {
+
+  var userCode = {
+    device_code : "device_code",
+    user_code : "user_code",
+    verification_url : "verification_url",
+    expires_in : 100,
+    interval : 5
+  };
+
+  it("should return false if nothing is in progress", function() {
+    expect(this.auth.cancel()).to.equal(false);
+  });
+
+  it("should emit a cancelled error and stop polling", function(done) {
+    var auth = this.auth;
+    var polls = 0;
+    auth._makeRequest = function(options, callback) {
+      if (options.form.scope) {
+        return callback(userCode);
+      }
+      polls++;
+      callback({ error: "authorization_pending" });
+    };
+    auth.on(GoogleDeviceAuth.events.errors.cancelled, function(err) {
+      expect(err.code).to.equal("cancelled");
+      expect(polls).to.equal(1);
+      expect(auth._pollTimer).to.not.be.ok();
+      done();
+    });
+    auth.auth();
+    expect(auth.cancel()).to.equal(true);
+  });
+
+  it("should ignore responses that arrive after cancelling", function(done) {
+    var auth = this.auth;
+    var pendingCallback;
+    auth._makeRequest = function(options, callback) {
+      pendingCallback = callback;
+    };
+    auth.on(GoogleDeviceAuth.events.userCode, function() {
+      done(new Error("Late response was not ignored"));
+    });
+    auth.auth();
+    auth.cancel();
+    pendingCallback(userCode);
+    done();
+  });
+
+  it("should reject authenticate with a cancelled error", function() {
+    var auth = this.auth;
+    auth._makeRequest = function() {};
+    var promise = auth.authenticate();
+    auth.cancel();
+    return promise.then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("cancelled");
+    });
+  });
+
+  it("should cancel when an AbortSignal is aborted", function() {
+    var auth = this.auth;
+    var controller = new AbortController();
+    auth.options.refreshToken = "refresh";
+    auth._makeRequest = function() {};
+    var promise = auth.refreshAsync({ signal: controller.signal });
+    controller.abort();
+    return promise.then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("cancelled");
+    });
+  });
+
+  it("should not start a request if the signal is already aborted", function(done) {
+    var auth = this.auth;
+    var controller = new AbortController();
+    controller.abort();
+    auth._requestUserCode = function() {
+      done(new Error("Request should not be made"));
+    };
+    auth.on(GoogleDeviceAuth.events.errors.cancelled, function() {
+      done();
+    });
+    auth.auth({ signal: controller.signal });
+  });
+
+  it("should stop listening to the signal once the request completes", function() {
+    var auth = this.auth;
+    var controller = new AbortController();
+    auth._requestUserCode = function() {
+      auth._handlePollResponse({
+        access_token: "test"
+      });
+    };
+    return auth.authenticate({ signal: controller.signal }).then(function() {
+      var cancelled = false;
+      auth.on(GoogleDeviceAuth.events.errors.cancelled, function() {
+        cancelled = true;
+      });
+      controller.abort();
+      expect(cancelled).to.equal(false);
+    });
+  });
+
+});
+
+
+describe("Transport", function() {
+
+  it("should send requests through the configured transport", function(done) {
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
+      transport: function(options, callback) {
+        expect(options.method).to.equal("POST");
+        expect(options.url).to.equal("https://oauth2.googleapis.com/device/code");
+        expect(options.form.client_id).to.equal("testid");
+        callback(null, {
+          status: 200,
+          headers: {},
+          body: JSON.stringify({ error: "invalid_scope" })
+        });
+      }
+    });
+    auth.on(GoogleDeviceAuth.events.errors.invalidScope, function() {
+      done();
+    });
+    auth.on("error", function() {});
+    auth.auth();
+  });
+
+  it("should emit transport errors as network errors", function(done) {
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
+      requestRetries: 0,
+      transport: function(options, callback) {
+        callback(new Error("connection refused"));
+      }
+    });
+    auth.on("error", function(err) {
+      expect(err.code).to.equal("network_error");
+      expect(err.data.message).to.equal("connection refused");
+      done();
+    });
+    auth.auth();
+  });
+
+  describe("default transport", function() {
+
+    beforeEach(function(done) {
+      var test = this;
+      this.server = http.createServer(function(req, res) {
+        var body = "";
+        req.on("data", function(chunk) {
+          body += chunk;
+        });
+        req.on("end", function() {
+          test.received = {
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            body: body
+          };
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ ok: true }));
+        });
+      });
+      this.server.listen(0, "127.0.0.1", function() {
+        test.url = "http://127.0.0.1:" + test.server.address().port;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      if (!this.server.listening) {
+        return done();
+      }
+      this.server.close(done);
+    });
+
+    it("should send form encoded bodies and return status, headers and body", function(done) {
+      var test = this;
+      GoogleDeviceAuth.createTransport()({
+        method: "POST",
+        url: this.url + "/token",
+        form: { client_id: "testid", scope: "a b" }
+      }, function(err, response) {
+        expect(err).to.be(null);
+        expect(response.status).to.equal(200);
+        expect(response.headers["content-type"]).to.equal("application/json");
+        expect(JSON.parse(response.body).ok).to.equal(true);
+        expect(test.received.method).to.equal("POST");
+        expect(test.received.url).to.equal("/token");
+        expect(test.received.headers["content-type"]).to.equal("application/x-www-form-urlencoded");
+        expect(test.received.body).to.equal("client_id=testid&scope=a%20b");
+        done();
+      });
+    });
+
+    it("should send raw bodies with the caller's headers", function(done) {
+      var test = this;
+      GoogleDeviceAuth.createTransport()({
+        method: "POST",
+        url: this.url + "/upload",
+        headers: { "Content-Type": "application/json" },
+        body: "{\"name\":\"test\"}"
+      }, function(err) {
+        expect(err).to.be(null);
+        expect(test.received.headers["content-type"]).to.equal("application/json");
+        expect(test.received.headers["content-length"]).to.equal("15");
+        expect(test.received.body).to.equal("{\"name\":\"test\"}");
+        done();
+      });
+    });
+
+    it("should time out stalled requests by default", function(done) {
+      var request = http.request;
+      var timeouts = [];
+      http.request = function() {
+        var req = request.apply(http, arguments);
+        var setTimeout = req.setTimeout;
+        req.setTimeout = function(ms) {
+          timeouts.push(ms);
+          return setTimeout.apply(req, arguments);
+        };
+        return req;
+      };
+      try {
+        GoogleDeviceAuth.createTransport()({ method: "GET", url: this.url + "/token" }, function(err) {
+          expect(err).to.be(null);
+          expect(timeouts).to.eql([30000]);
+          done();
+        });
+      } finally {
+        http.request = request;
+      }
+    });
+
+    it("should retry stalled requests as network errors", function(done) {
+      var auth = this.auth;
+      var attempts = 0;
+      var stalled = http.createServer(function() {
+        attempts++;
+      });
+      stalled.listen(0, "127.0.0.1", function() {
+        auth.options.transport = GoogleDeviceAuth.createTransport({ timeout: 50 });
+        auth.options.requestRetries = 1;
+        auth.options.requestRetryDelay = 0.001;
+        auth.once(GoogleDeviceAuth.events.errors.networkError, function(err) {
+          expect(attempts).to.equal(2);
+          expect(err.data.code).to.equal("ETIMEDOUT");
+          stalled.close(function() {
+            done();
+          });
+          stalled.closeAllConnections();
+        });
+        auth._makeRequest({ method: "GET", url: "http://127.0.0.1:" + stalled.address().port + "/token" }, function() {});
+      });
+    });
+
+    it("should pass errors to the callback", function(done) {
+      var url = this.url;
+      this.server.close(function() {
+        GoogleDeviceAuth.createTransport()({
+          method: "GET",
+          url: url + "/token"
+        }, function(err) {
+          expect(err).to.be.an(Error);
+          done();
+        });
+      });
+    });
+
+  });
+
+});
+
+
+describe("Request error handling", function() {
+
+  function respond(status, body) {
+    return function(options, callback) {
+      callback(null, {
+        status: status,
+        headers: {},
+        body: typeof body === "string" ? body : JSON.stringify(body)
+      });
+    };
+  }
+
+  beforeEach(function() {
+    this.auth.options.requestRetryDelay = 0.001;
+  });
+
+  it("should pass OAuth error bodies with 4xx statuses to the response handlers", function(done) {
+    var auth = this.auth;
+    auth.options.transport = respond(400, { error: "invalid_scope" });
+    auth.on(GoogleDeviceAuth.events.errors.invalidScope, function() {
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should emit an http error for non-2xx responses without an OAuth error", function(done) {
+    var auth = this.auth;
+    auth.options.transport = respond(404, "<html>Not found</html>");
+    auth.on(GoogleDeviceAuth.events.errors.httpError, function(err) {
+      expect(err.data.status).to.equal(404);
+      expect(err.data.body).to.equal("<html>Not found</html>");
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should emit an invalid response error for non-JSON bodies", function(done) {
+    var auth = this.auth;
+    auth.options.transport = respond(200, "<html>Proxy page</html>");
+    auth.on(GoogleDeviceAuth.events.errors.invalidResponse, function(err) {
+      expect(err.data.body).to.equal("<html>Proxy page</html>");
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should retry 5xx responses before succeeding", function(done) {
+    var auth = this.auth;
+    var attempts = 0;
+    auth.options.transport = function(options, callback) {
+      attempts++;
+      if (attempts < 3) {
+        return respond(502, "<html>Bad gateway</html>")(options, callback);
+      }
+      respond(200, { user_code: "code", device_code: "device", expires_in: 100, interval: 5 })(options, callback);
+    };
+    auth._pollAuthEndpoint = function() {};
+    auth.on(GoogleDeviceAuth.events.userCode, function(data) {
+      expect(attempts).to.equal(3);
+      expect(data.user_code).to.equal("code");
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should retry network errors and emit a network error once retries run out", function(done) {
+    var auth = this.auth;
+    var attempts = 0;
+    auth.options.requestRetries = 2;
+    auth.options.refreshToken = "refresh";
+    auth.options.transport = function(options, callback) {
+      attempts++;
+      callback(new Error("socket hang up"));
+    };
+    auth.on(GoogleDeviceAuth.events.errors.networkError, function(err) {
+      expect(attempts).to.equal(3);
+      expect(err.data.message).to.equal("socket hang up");
+      done();
+    });
+    auth.refresh();
+  });
+
+  it("should emit an http error once 5xx retries run out", function(done) {
+    var auth = this.auth;
+    auth.options.requestRetries = 1;
+    auth.options.transport = respond(503, "unavailable");
+    auth.on(GoogleDeviceAuth.events.errors.httpError, function(err) {
+      expect(err.data.status).to.equal(503);
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should not retry 4xx responses", function(done) {
+    var auth = this.auth;
+    var attempts = 0;
+    auth.options.transport = function(options, callback) {
+      attempts++;
+      respond(403, "forbidden")(options, callback);
+    };
+    auth.on(GoogleDeviceAuth.events.errors.httpError, function() {
+      expect(attempts).to.equal(1);
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should stop retrying when cancelled", function(done) {
+    var auth = this.auth;
+    var attempts = 0;
+    auth.options.transport = function(options, callback) {
+      attempts++;
+      respond(500, "error")(options, callback);
+    };
+    auth.auth();
+    auth.cancel();
+    setTimeout(function() {
+      expect(attempts).to.equal(1);
+      done();
+    }, 20);
+  });
+
+  it("should keep the retry delay within the configured bounds", function() {
+    var auth = this.auth;
+    auth.options.requestRetryDelay = 1;
+    auth.options.requestMaxRetryDelay = 4;
+    _.times(20, function() {
+      var first = auth._retryDelay(0);
+      var capped = auth._retryDelay(10);
+      expect(first).to.be.within(500, 1000);
+      expect(capped).to.be.within(2000, 4000);
+    });
+  });
+
+});
+
+
+describe("Revoke", function() {
+
+  it("should revoke the refresh token in preference to the access token", function(done) {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth.authData.access_token = "access";
+    auth._makeRequest = function(options) {
+      expect(options.url).to.equal("https://oauth2.googleapis.com/revoke");
+      expect(options.form.token).to.equal("refresh");
+      done();
+    };
+    auth.revoke();
+  });
+
+  it("should revoke the access token if there is no refresh token", function(done) {
+    var auth = this.auth;
+    auth.authData.access_token = "access";
+    auth._makeRequest = function(options) {
+      expect(options.form.token).to.equal("access");
+      done();
+    };
+    auth.revoke();
+  });
+
+  it("should emit a missing token error if there is nothing to revoke", function(done) {
+    var auth = this.auth;
+    auth.on(GoogleDeviceAuth.events.errors.missingToken, function() {
+      done();
+    });
+    auth.revoke();
+  });
+
+  it("should clear auth data and the store and emit revoked on success", function(done) {
+    var store = new GoogleDeviceAuth.MemoryStore({ refresh_token: "refresh" });
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      store: store,
+      transport: function(options, callback) {
+        callback(null, { status: 200, headers: {}, body: "" });
+      }
+    });
+    auth.authData.access_token = "access";
+    auth.on(GoogleDeviceAuth.events.revoked, function() {
+      expect(auth.authData).to.eql({});
+      expect(auth.options.refreshToken).to.be(undefined);
+      expect(store.get()).to.be(null);
+      done();
+    });
+    auth.revoke();
+  });
+
+  it("should report failures as coded errors", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth.options.transport = function(options, callback) {
+      callback(null, { status: 400, headers: {}, body: JSON.stringify({ error: "invalid_token" }) });
+    };
+    return auth.revokeAsync().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("google_error");
+      expect(err.data.error).to.equal("invalid_token");
+      expect(auth.options.refreshToken).to.equal("refresh");
+    });
+  });
+
+  it("should reject revokeAsync without emitting an error event", function() {
+    var auth = this.auth;
+    var errorEvents = 0;
+    auth.on(GoogleDeviceAuth.events.error, function() {
+      errorEvents++;
+    });
+    return auth.revokeAsync().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("missing_token");
+      expect(errorEvents).to.equal(0);
+    });
+  });
+
+  it("should resolve revokeAsync on success", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth.options.transport = function(options, callback) {
+      callback(null, { status: 200, headers: {}, body: "{}" });
+    };
+    return auth.revokeAsync().then(function() {
+      expect(auth.options.refreshToken).to.be(undefined);
+    });
+  });
+
+  it("should return to idle once revoked", function() {
+    var auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      refreshToken: "refresh",
+      transport: function(options, callback) {
+        callback(null, { status: 200, headers: {}, body: "" });
+      }
+    });
+    var states = [];
+    auth.on(GoogleDeviceAuth.events.stateChange, function(change) {
+      states.push(change.state);
+    });
+    expect(auth.getState()).to.equal("authorised");
+    return auth.revokeAsync().then(function() {
+      expect(auth.getState()).to.equal("idle");
+      expect(states).to.eql(["idle"]);
+    });
+  });
+
+});
+
+
+describe("Token info", function() {
+
+  it("should look up the current access token", function() {
+    var auth = this.auth;
+    auth.authData.access_token = "access";
+    auth.options.transport = function(options, callback) {
+      expect(options.method).to.equal("GET");
+      expect(options.url).to.equal("https://oauth2.googleapis.com/tokeninfo?access_token=access");
+      callback(null, { status: 200, headers: {}, body: JSON.stringify({ scope: "email", expires_in: "3599" }) });
+    };
+    return auth.getTokenInfo().then(function(info) {
+      expect(info.scope).to.equal("email");
+    });
+  });
+
+  it("should emit a tokenInfo event", function(done) {
+    var auth = this.auth;
+    auth.options.transport = function(options, callback) {
+      callback(null, { status: 200, headers: {}, body: JSON.stringify({ aud: "testid" }) });
+    };
+    auth.on(GoogleDeviceAuth.events.tokenInfo, function(info) {
+      expect(info.aud).to.equal("testid");
+      done();
+    });
+    auth.getTokenInfo("other");
+  });
+
+  it("should reject with an invalid access token error for dead tokens", function() {
+    var auth = this.auth;
+    auth.options.transport = function(options, callback) {
+      callback(null, { status: 400, headers: {}, body: JSON.stringify({ error: "invalid_token", error_description: "Invalid Value" }) });
+    };
+    return auth.getTokenInfo("expired").then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_access_token");
+    });
+  });
+
+  it("should reject with a missing token error if there is no access token", function() {
+    return this.auth.getTokenInfo().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("missing_token");
+    });
+  });
+
+  it("should keep tokeninfo failures and authentication failures apart", function() {
+    var auth = this.auth;
+    var errorEvents = [];
+    auth.on(GoogleDeviceAuth.events.error, function(err) {
+      errorEvents.push(err.code);
+    });
+    auth.options.transport = function(options, callback) {
+      if (options.url.indexOf("/tokeninfo") !== -1) {
+        return setTimeout(function() {
+          callback(null, { status: 400, headers: {}, body: JSON.stringify({ error: "invalid_token" }) });
+        }, 10);
+      }
+      callback(null, { status: 400, headers: {}, body: JSON.stringify({ error: "invalid_client" }) });
+    };
+    var info = auth.getTokenInfo("other");
+    var authentication = auth.authenticate();
+    var missing = auth.getTokenInfo();
+    return Promise.all([
+      info.then(null, function(err) {
+        return err.code;
+      }),
+      authentication.then(null, function(err) {
+        return err.code;
+      }),
+      missing.then(null, function(err) {
+        return err.code;
+      })
+    ]).then(function(codes) {
+      expect(codes).to.eql(["invalid_access_token", "google_error", "missing_token"]);
+      expect(errorEvents).to.eql(["google_error"]);
+    });
+  });
+
+});
+
+describe("Granted scope verification", function() {
+
+  beforeEach(function() {
+    this.auth.options.scopes = ["https://www.googleapis.com/auth/drive.file", "email"];
+  });
+
+  it("should emit a scopesNarrowed warning listing the scopes that were not granted", function(done) {
+    var auth = this.auth;
+    auth.on(GoogleDeviceAuth.events.warning, function(err) {
+      expect(err.code).to.equal("scopes_narrowed");
+      expect(err.data.missing).to.eql(["https://www.googleapis.com/auth/drive.file"]);
+      done();
+    });
+    auth._handlePollResponse({
+      access_token: "test",
+      scope: "https://www.googleapis.com/auth/userinfo.email"
+    });
+  });
+
+  it("should not emit a generic error for narrowed scopes", function() {
+    var auth = this.auth;
+    var errored = false;
+    auth.on(GoogleDeviceAuth.events.error, function() {
+      errored = true;
+    });
+    auth._handlePollResponse({
+      access_token: "test",
+      scope: "openid"
+    });
+    expect(errored).to.equal(false);
+  });
+
+  it("should not warn when all requested scopes were granted", function() {
+    var auth = this.auth;
+    var warned = false;
+    auth.on(GoogleDeviceAuth.events.warning, function() {
+      warned = true;
+    });
+    auth._handlePollResponse({
+      access_token: "test",
+      scope: "https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/drive.file openid"
+    });
+    expect(warned).to.equal(false);
+  });
+
+});
+
+
+describe("id_token verification", function() {
+
+  before(function() {
+    var keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    this.privateKey = keyPair.privateKey;
+    this.jwk = _.extend(keyPair.publicKey.export({ format: "jwk" }), { kid: "key1", alg: "RS256", use: "sig" });
+    this.sign = function(claims, header) {
+      var input = idtoken.base64UrlEncode(JSON.stringify(_.extend({ alg: "RS256", kid: "key1", typ: "JWT" }, header))) +
+        "." + idtoken.base64UrlEncode(JSON.stringify(claims));
+      var signature = crypto.createSign("RSA-SHA256").update(input).sign(keyPair.privateKey);
+      return input + "." + idtoken.base64UrlEncode(signature);
+    };
+    this.claims = function(overrides) {
+      return _.extend({
+        iss: "https://accounts.google.com",
+        aud: "testid",
+        sub: "1234567890",
+        email: "user@example.com",
+        exp: Math.floor(Date.now() / 1000) + 3600
+      }, overrides);
+    };
+  });
+
+  describe("idtoken module", function() {
+
+    it("should decode a JWT", function() {
+      var decoded = idtoken.decode(this.sign(this.claims()));
+      expect(decoded.header.kid).to.equal("key1");
+      expect(decoded.payload.sub).to.equal("1234567890");
+    });
+
+    it("should throw on malformed tokens", function() {
+      expect(function() {
+        idtoken.decode("not.a-jwt");
+      }).to.throwError(/Malformed JWT/);
+    });
+
+    it("should convert a JWK into a usable PEM key", function() {
+      var pem = idtoken.jwkToPem(this.jwk);
+      var signature = crypto.createSign("RSA-SHA256").update("test").sign(this.privateKey);
+      expect(crypto.createVerify("RSA-SHA256").update("test").verify(pem, signature)).to.equal(true);
+    });
+
+    it("should verify a valid token and return its claims", function() {
+      var claims = idtoken.verify(this.sign(this.claims()), [this.jwk], { audience: "testid" });
+      expect(claims.email).to.equal("user@example.com");
+    });
+
+    it("should reject tampered signatures", function() {
+      var parts = this.sign(this.claims()).split(".");
+      parts[1] = idtoken.base64UrlEncode(JSON.stringify(this.claims({ sub: "attacker" })));
+      var jwk = this.jwk;
+      expect(function() {
+        idtoken.verify(parts.join("."), [jwk], { audience: "testid" });
+      }).to.throwError(/Invalid JWT signature/);
+    });
+
+    it("should reject unknown key IDs", function() {
+      var token = this.sign(this.claims(), { kid: "other" });
+      var jwk = this.jwk;
+      expect(function() {
+        idtoken.verify(token, [jwk], { audience: "testid" });
+      }).to.throwError(/No key found/);
+    });
+
+    it("should reject other algorithms", function() {
+      var token = this.sign(this.claims(), { alg: "none" });
+      var jwk = this.jwk;
+      expect(function() {
+        idtoken.verify(token, [jwk], { audience: "testid" });
+      }).to.throwError(/Unsupported JWT algorithm/);
+    });
+
+    it("should check the issuer, audience and expiry", function() {
+      var sign = this.sign;
+      var claims = this.claims;
+      var jwk = this.jwk;
+      expect(function() {
+        idtoken.verify(sign(claims({ iss: "https://evil.example.com" })), [jwk], { audience: "testid" });
+      }).to.throwError(/issuer/);
+      expect(function() {
+        idtoken.verify(sign(claims({ aud: "otherid" })), [jwk], { audience: "testid" });
+      }).to.throwError(/audience/);
+      expect(function() {
+        idtoken.verify(sign(claims({ exp: Math.floor(Date.now() / 1000) - 120 })), [jwk], { audience: "testid" });
+      }).to.throwError(/expired/);
+    });
+
+  });
+
+  it("should expose verified claims as authData.user", function(done) {
+    var auth = this.auth;
+    auth.options.jwks = { keys: [this.jwk] };
+    auth.on(GoogleDeviceAuth.events.authSuccess, function() {
+      expect(auth.authData.user.sub).to.equal("1234567890");
+      expect(auth.authData.user.email).to.equal("user@example.com");
+      done();
+    });
+    auth._handlePollResponse({
+      access_token: "test",
+      id_token: this.sign(this.claims())
+    });
+  });
+
+  it("should fetch and cache Google's signing keys through the transport", function() {
+    var auth = this.auth;
+    var jwk = this.jwk;
+    var fetches = 0;
+    auth.options.refreshToken = "refresh";
+    auth.options.transport = (function(sign, claims) {
+      return function(options, callback) {
+        var body;
+        if (options.url === "https://www.googleapis.com/oauth2/v3/certs") {
+          fetches++;
+          body = { keys: [jwk] };
+        } else {
+          body = { access_token: "test", id_token: sign(claims()) };
+        }
+        callback(null, { status: 200, headers: {}, body: JSON.stringify(body) });
+      };
+    })(this.sign, this.claims);
+    return auth.refreshAsync().then(function() {
+      return auth.refreshAsync();
+    }).then(function() {
+      expect(fetches).to.equal(1);
+      expect(auth.authData.user.sub).to.equal("1234567890");
+    });
+  });
+
+  it("should emit an invalid id_token error and not store the response if verification fails", function(done) {
+    var auth = this.auth;
+    auth.options.jwks = { keys: [this.jwk] };
+    auth.on(GoogleDeviceAuth.events.errors.invalidIdToken, function(err) {
+      expect(err.data.message).to.match(/audience/);
+      expect(auth.authData.access_token).to.be(undefined);
+      done();
+    });
+    auth._handlePollResponse({
+      access_token: "test",
+      id_token: this.sign(this.claims({ aud: "otherid" }))
+    });
+  });
+
+  it("should keep the token and warn if the signing keys cannot be fetched", function() {
+    var auth = this.auth;
+    var warnings = [];
+    var errorEvents = 0;
+    auth.options.requestRetries = 1;
+    auth.options.requestRetryDelay = 0.001;
+    auth.authData.user = { sub: "previous" };
+    auth.options.transport = (function(sign, claims) {
+      return function(options, callback) {
+        if (options.url === "https://www.googleapis.com/oauth2/v3/certs") {
+          return callback(null, { status: 503, headers: {}, body: "Unavailable" });
+        }
+        callback(null, { status: 200, headers: {}, body: JSON.stringify({ access_token: "test", refresh_token: "refresh", id_token: sign(claims()) }) });
+      };
+    })(this.sign, this.claims);
+    auth.on(GoogleDeviceAuth.events.warning, function(warning) {
+      warnings.push(warning);
+    });
+    auth.on(GoogleDeviceAuth.events.error, function() {
+      errorEvents++;
+    });
+    auth.options.refreshToken = "refresh";
+    return auth.refreshAsync().then(function(token) {
+      expect(token.access_token).to.equal("test");
+      expect(auth.authData.access_token).to.equal("test");
+      expect(auth.authData.user).to.be(undefined);
+      expect(_.pluck(warnings, "code")).to.eql(["id_token_unverified"]);
+      expect(warnings[0].data.code).to.equal("http_error");
+      expect(errorEvents).to.equal(0);
+    });
+  });
+
+  it("should skip verification if verifyIdToken is false", function() {
+    var auth = this.auth;
+    auth.options.verifyIdToken = false;
+    auth._handlePollResponse({
+      access_token: "test",
+      id_token: "not-a-jwt"
+    });
+    expect(auth.authData.id_token).to.equal("not-a-jwt");
+    expect(auth.authData.user).to.be(undefined);
+  });
+
+});
+
+
+describe("Account manager", function() {
+
+  //Fake Google endpoints: device flow completes on the first poll, refresh tokens are "refresh-<n>"
+  function createTransport(state) {
+    return function(options, callback) {
+      var body;
+      if (/device\/code$/.test(options.url)) {
+        body = { device_code: "device", user_code: "code", verification_url: "url", expires_in: 100, interval: 5 };
+      } else if (/revoke$/.test(options.url)) {
+        state.revoked.push(options.form.token);
+        body = {};
+      } else if (options.form.grant_type === "refresh_token") {
+        state.refreshes++;
+        body = { access_token: "access-" + options.form.refresh_token, expires_in: 3600 };
+      } else {
+        state.grants++;
+        body = { access_token: "access", refresh_token: "refresh-" + state.grants, expires_in: 3600 };
+      }
+      callback(null, { status: 200, headers: {}, body: JSON.stringify(body) });
+    };
+  }
+
+  beforeEach(function() {
+    this.state = { grants: 0, refreshes: 0, revoked: [] };
+    this.store = new GoogleDeviceAuth.MemoryStore();
+    this.manager = new GoogleDeviceAuth.AccountManager({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
+      store: this.store,
+      transport: createTransport(this.state)
+    });
+  });
+
+  it("should authorise a new account and store it under the given ID", function() {
+    var manager = this.manager;
+    var store = this.store;
+    return manager.addAccount("alice").then(function(accountId) {
+      expect(accountId).to.equal("alice");
+      expect(store.get().alice.refresh_token).to.equal("refresh-1");
+      expect(manager.listAccounts()).to.eql(["alice"]);
+    });
+  });
+
+  it("should not start a device flow when an account's refresh token is rejected", function() {
+    var manager = this.manager;
+    var store = this.store;
+    var codes = 0;
+    manager.on(GoogleDeviceAuth.events.userCode, function() {
+      codes++;
+    });
+    return manager.addAccount("alice").then(function() {
+      codes = 0;
+      manager.getAccount("alice").options.transport = function(options, callback) {
+        callback(null, { status: 400, headers: {}, body: JSON.stringify({ error: "invalid_grant" }) });
+      };
+      return manager.refresh("alice");
+    }).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_refresh_token");
+      expect(codes).to.equal(0);
+      expect(store.get()).to.eql({});
+    });
+  });
+
+  it("should forward events with the account ID", function() {
+    var manager = this.manager;
+    var codes = [];
+    manager.on(GoogleDeviceAuth.events.userCode, function(data, accountId) {
+      codes.push([data.user_code, accountId]);
+    });
+    return manager.addAccount("alice").then(function() {
+      expect(codes).to.eql([["code", "alice"]]);
+    });
+  });
+
+  it("should key accounts by the verified id_token sub if no ID is given", function() {
+    var manager = this.manager;
+    var keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    var input = idtoken.base64UrlEncode(JSON.stringify({ alg: "RS256", kid: "key1" })) + "." + idtoken.base64UrlEncode(JSON.stringify({
+      iss: "accounts.google.com",
+      aud: "testid",
+      sub: "10769150350006150715113082367",
+      exp: Math.floor(Date.now() / 1000) + 3600
+    }));
+    var idToken = input + "." + idtoken.base64UrlEncode(crypto.createSign("RSA-SHA256").update(input).sign(keyPair.privateKey));
+    manager.options.jwks = [_.extend(keyPair.publicKey.export({ format: "jwk" }), { kid: "key1" })];
+    manager.options.transport = function(options, callback) {
+      if (/device\/code$/.test(options.url)) {
+        return callback(null, { status: 200, headers: {}, body: JSON.stringify({ device_code: "device", user_code: "code", expires_in: 100, interval: 5 }) });
+      }
+      callback(null, { status: 200, headers: {}, body: JSON.stringify({ access_token: "access", refresh_token: "refresh", id_token: idToken }) });
+    };
+    return manager.addAccount().then(function(accountId) {
+      expect(accountId).to.equal("10769150350006150715113082367");
+      expect(manager.getAccount(accountId).authData.user.sub).to.equal(accountId);
+    });
+  });
+
+  it("should reject if no ID is given and there is no id_token", function() {
+    var store = this.store;
+    return this.manager.addAccount().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("missing_account_id");
+      expect(store.get()).to.be(null);
+    });
+  });
+
+  it("should restore accounts from the shared store and refresh them independently", function() {
+    var state = this.state;
+    this.store.set({
+      alice: { refresh_token: "refresh-alice" },
+      bob: { refresh_token: "refresh-bob" }
+    });
+    var manager = this.manager;
+    return Promise.all([
+      manager.getAccessToken("alice"),
+      manager.getAccessToken("bob")
+    ]).then(function(tokens) {
+      expect(tokens).to.eql(["access-refresh-alice", "access-refresh-bob"]);
+      expect(state.refreshes).to.equal(2);
+      expect(state.grants).to.equal(0);
+    });
+  });
+
+  it("should not re-authorise an account that is already stored", function() {
+    var state = this.state;
+    this.store.set({ alice: { refresh_token: "refresh-alice" } });
+    return this.manager.addAccount("alice").then(function() {
+      expect(state.grants).to.equal(0);
+    });
+  });
+
+  it("should reject with an unknown account error for accounts that are not stored", function() {
+    return this.manager.getAccessToken("nobody").then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("unknown_account");
+      expect(err.data.accountId).to.equal("nobody");
+    });
+  });
+
+  it("should remove accounts and optionally revoke their tokens", function() {
+    var manager = this.manager;
+    var state = this.state;
+    var removed = [];
+    this.store.set({
+      alice: { refresh_token: "refresh-alice" },
+      bob: { refresh_token: "refresh-bob" }
+    });
+    manager.on(GoogleDeviceAuth.AccountManager.events.accountRemoved, function(accountId) {
+      removed.push(accountId);
+    });
+    return manager.removeAccount("alice", { revoke: true }).then(function() {
+      return manager.removeAccount("bob");
+    }).then(function() {
+      expect(state.revoked).to.eql(["refresh-alice"]);
+      expect(removed).to.eql(["alice", "bob"]);
+      expect(manager.listAccounts()).to.eql([]);
+      expect(manager.getAccount("alice")).to.be(null);
+    });
+  });
+
+});
+
+
+describe("Command-line interface", function() {
+
+  var cli = require("../lib/cli");
+
+  function output() {
+    var stream = { data: "" };
+    stream.write = function(chunk) {
+      stream.data += chunk;
+    };
+    return stream;
+  }
+
+  beforeEach(function() {
+    var test = this;
+    this.tokenFile = path.join(os.tmpdir(), "google-device-auth-cli-" + process.pid + ".json");
+    this.requests = [];
+    this.responses = {};
+    this.stdout = output();
+    this.stderr = output();
+    this.run = function(argv, env) {
+      return cli.run(argv, {
+        env: _.extend({
+          GOOGLE_CLIENT_ID: "testid",
+          GOOGLE_CLIENT_SECRET: "testsecret",
+          GOOGLE_SCOPES: "https://www.googleapis.com/auth/drive.file",
+          GOOGLE_DEVICE_AUTH_TOKEN_FILE: test.tokenFile
+        }, env),
+        homeDir: os.tmpdir(),
+        stdout: test.stdout,
+        stderr: test.stderr,
+        options: {
+          transport: function(options, callback) {
+            test.requests.push(options);
+            var key = _.find(_.keys(test.responses), function(suffix) {
+              return options.url.indexOf(suffix) !== -1;
+            });
+            var response = test.responses[key] || { status: 500, body: "" };
+            callback(null, { status: response.status, headers: {}, body: JSON.stringify(response.body) });
+          },
+          requestRetries: 0
+        }
+      });
+    };
+  });
+
+  afterEach(function() {
+    new GoogleDeviceAuth.FileStore(this.tokenFile).clear();
+  });
+
+  it("should exit with the usage code for unknown commands", function() {
+    var test = this;
+    return this.run(["dance"]).then(function(code) {
+      expect(code).to.equal(2);
+      expect(test.stderr.data).to.contain("Unknown command dance");
+    });
+  });
+
+  it("should exit with the usage code for unknown options", function() {
+    var test = this;
+    return this.run(["login", "--client_id", "foo"]).then(function(code) {
+      expect(code).to.equal(2);
+      expect(test.stderr.data).to.contain("Unknown option --client_id");
+      return test.run(["login", "--bogus"]);
+    }).then(function(code) {
+      expect(code).to.equal(2);
+      expect(test.stderr.data).to.contain("Unknown option --bogus");
+      expect(test.requests).to.eql([]);
+    });
+  });
+
+  it("should name the scopes that cannot be used", function() {
+    var test = this;
+    return this.run(["login", "--scope", "drive.file", "--scope", "gmail.readonly", "--scope", "https://docs.google.com/feeds/"]).then(function(code) {
+      expect(code).to.equal(35);
+      expect(test.stderr.data).to.contain("(unsupported_scopes)");
+      expect(test.stderr.data).to.contain("Not allowed in the device flow: gmail.readonly\n");
+      expect(test.stderr.data).to.contain("Unknown scopes: https://docs.google.com/feeds/\n");
+    });
+  });
+
+  it("should print usage with --help", function() {
+    var test = this;
+    return this.run(["--help"]).then(function(code) {
+      expect(code).to.equal(0);
+      expect(test.stdout.data).to.contain("Usage: google-device-auth");
+    });
+  });
+
+  it("should exit with the store error code if the token file cannot be cleared", function() {
+    var test = this;
+    var tokenFile = path.join(os.tmpdir(), "google-device-auth-missing-" + process.pid, "tokens.json");
+    return this.run(["login", "--force"], { GOOGLE_DEVICE_AUTH_TOKEN_FILE: tokenFile }).then(function(code) {
+      expect(code).to.equal(19);
+      expect(test.stderr.data).to.contain("(store_error)");
+      expect(test.requests).to.eql([]);
+    });
+  });
+
+  it("should log in with the device flow and persist tokens to the token file", function() {
+    var test = this;
+    this.responses["/device/code"] = { status: 200, body: { device_code: "device", user_code: "ABCD-EFGH", verification_url: "https://www.google.com/device", expires_in: 100, interval: 5 } };
+    this.responses["/token"] = { status: 200, body: { access_token: "access", refresh_token: "refresh", expires_in: 3600 } };
+    return this.run(["login"]).then(function(code) {
+      expect(code).to.equal(0);
+      expect(test.stderr.data).to.contain("ABCD-EFGH");
+      expect(JSON.parse(fs.readFileSync(test.tokenFile, "utf8")).refresh_token).to.equal("refresh");
+    });
+  });
+
+  it("should take credentials from flags in preference to the environment", function() {
+    var test = this;
+    this.responses["/device/code"] = { status: 400, body: { error: "invalid_client" } };
+    return this.run(["login", "--client-id", "flagid", "--scope=openid", "--scope", "youtube.readonly"]).then(function() {
+      expect(test.requests[0].form.client_id).to.equal("flagid");
+      expect(test.requests[0].form.scope).to.equal("openid https://www.googleapis.com/auth/youtube.readonly");
+    });
+  });
+
+  it("should read credentials from a config file", function() {
+    var test = this;
+    var configFile = path.join(os.tmpdir(), "google-device-auth-config-" + process.pid + ".json");
+    fs.writeFileSync(configFile, JSON.stringify({ clientId: "configid", clientSecret: "configsecret", scopes: ["email"] }));
+    this.responses["/device/code"] = { status: 400, body: { error: "invalid_client" } };
+    return this.run(["login", "--config", configFile], {
+      GOOGLE_CLIENT_ID: "",
+      GOOGLE_SCOPES: ""
+    }).then(function() {
+      fs.unlinkSync(configFile);
+      expect(test.requests[0].form.client_id).to.equal("configid");
+      expect(test.requests[0].form.scope).to.equal("email");
+    });
+  });
+
+  it("should print a valid access token, refreshing it if needed", function() {
+    var test = this;
+    fs.writeFileSync(this.tokenFile, JSON.stringify({ refresh_token: "refresh" }));
+    this.responses["/token"] = { status: 200, body: { access_token: "fresh", expires_in: 3600 } };
+    return this.run(["print-token"]).then(function(code) {
+      expect(code).to.equal(0);
+      expect(test.stdout.data).to.equal("fresh\n");
+    });
+  });
+
+  it("should exit with the missing refresh token code instead of starting a login", function() {
+    var test = this;
+    return this.run(["print-token"]).then(function(code) {
+      expect(code).to.equal(cli.exitCodes.missingRefreshToken);
+      expect(test.requests.length).to.equal(0);
+    });
+  });
+
+  it("should map application errors to distinct exit codes", function() {
+    fs.writeFileSync(this.tokenFile, JSON.stringify({ refresh_token: "refresh" }));
+    this.responses["/token"] = { status: 400, body: { error: "invalid_grant" } };
+    return this.run(["refresh"]).then(function(code) {
+      expect(code).to.equal(cli.exitCodes.invalidRefreshToken);
+    });
+  });
+
+  it("should have an exit code for every error", function() {
+    var codes = _.map(_.keys(GoogleDeviceAuth.errors), function(key) {
+      expect(cli.exitCodes[key]).to.be.a("number");
+      return cli.exitCodes[key];
+    });
+    expect(_.uniq(codes).length).to.equal(codes.length);
+  });
+
+  it("should revoke tokens and delete the token file", function() {
+    var test = this;
+    fs.writeFileSync(this.tokenFile, JSON.stringify({ refresh_token: "refresh" }));
+    this.responses["/revoke"] = { status: 200, body: {} };
+    return this.run(["revoke"]).then(function(code) {
+      expect(code).to.equal(0);
+      expect(fs.existsSync(test.tokenFile)).to.equal(false);
+    });
+  });
+
+  it("should encrypt the token file with a passphrase from the environment", function() {
+    var test = this;
+    this.responses["/device/code"] = { status: 200, body: { device_code: "device", user_code: "ABCD-EFGH", verification_url: "https://www.google.com/device", expires_in: 100, interval: 5 } };
+    this.responses["/token"] = { status: 200, body: { access_token: "access", refresh_token: "refresh", expires_in: 3600 } };
+    return this.run(["login"], { GOOGLE_DEVICE_AUTH_PASSPHRASE: "secret" }).then(function(code) {
+      expect(code).to.equal(0);
+      expect(fs.readFileSync(test.tokenFile, "utf8")).not.to.contain("refresh");
+      return test.run(["status"], { GOOGLE_DEVICE_AUTH_PASSPHRASE: "wrong" });
+    }).then(function(code) {
+      expect(code).to.equal(cli.exitCodes.decryptionFailed);
+    });
+  });
+
+  it("should report status", function() {
+    var test = this;
+    fs.writeFileSync(this.tokenFile, JSON.stringify({
+      refresh_token: "refresh",
+      access_token: "access",
+      expires_at: Date.now() + 60000,
+      scope: "https://www.googleapis.com/auth/drive.file"
+    }));
+    return this.run(["status"]).then(function(code) {
+      expect(code).to.equal(0);
+      expect(test.stdout.data).to.contain("Authorised: yes");
+      expect(test.stdout.data).to.contain("Scopes: https://www.googleapis.com/auth/drive.file");
+    });
+  });
+
+});
+
+
+describe("QR code presenter", function() {
+
+  var qrcode = require("../lib/qrcode");
+
+  //Reads the first copy of the format information and removes its mask
+  function readFormat(qr) {
+    var bits = 0;
+    var positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    positions.forEach(function(position, i) {
+      if (qr.modules[position[1]][position[0]]) {
+        bits |= 1 << i;
+      }
+    });
+    bits ^= 0x5412;
+    return { eclBits: bits >>> 13, mask: (bits >>> 10) & 7 };
+  }
+
+  it("should pick the smallest version that fits the text", function() {
+    expect(qrcode.encode("x").version).to.equal(1);
+    expect(qrcode.encode("x").size).to.equal(21);
+    expect(qrcode.encode("https://www.google.com/device?user_code=ABCD-EFGH").version).to.equal(4);
+    expect(qrcode.encode("https://www.google.com/device?user_code=ABCD-EFGH", { errorCorrection: "L" }).version).to.equal(3);
+  });
+
+  it("should draw finder patterns in three corners", function() {
+    var qr = qrcode.encode("https://www.google.com/device");
+    var finder = [
+      [true, true, true, true, true, true, true],
+      [true, false, false, false, false, false, true],
+      [true, false, true, true, true, false, true],
+      [true, false, true, true, true, false, true],
+      [true, false, true, true, true, false, true],
+      [true, false, false, false, false, false, true],
+      [true, true, true, true, true, true, true]
+    ];
+    _.each([[0, 0], [qr.size - 7, 0], [0, qr.size - 7]], function(corner) {
+      var drawn = _.map(_.range(7), function(y) {
+        return qr.modules[corner[1] + y].slice(corner[0], corner[0] + 7);
+      });
+      expect(drawn).to.eql(finder);
+    });
+  });
+
+  it("should encode the error correction level in the format information", function() {
+    var format = readFormat(qrcode.encode("test", { errorCorrection: "H" }));
+    expect(format.eclBits).to.equal(2);
+    expect(format.mask).to.be.within(0, 7);
+    expect(readFormat(qrcode.encode("test", { errorCorrection: "L" })).eclBits).to.equal(1);
+  });
+
+  it("should throw for text that is too long", function() {
+    var text = new Array(3000).join("x");
+    expect(function() {
+      qrcode.encode(text);
+    }).to.throwError(/too long/);
+  });
+
+  it("should render two rows of modules per line with a quiet zone", function() {
+    var rendered = GoogleDeviceAuth.renderQrCode("x");
+    var lines = rendered.split("\n");
+    expect(lines.length).to.equal(Math.ceil((21 + 4) / 2));
+    expect(lines[0]).to.equal(new Array(26).join("█"));
+    _.each(lines, function(line) {
+      expect(line.length).to.equal(25);
+      expect(line).to.match(/^[█▀▄ ]+$/);
+    });
+  });
+
+  it("should draw dark modules as blocks when inverted", function() {
+    var lines = GoogleDeviceAuth.renderQrCode("x", { invert: true, margin: 0 }).split("\n");
+    expect(lines[0].charAt(0)).to.equal("█");
+    expect(lines[lines.length - 1]).to.match(/^[▀ ]+$/);
+  });
+
+  it("should prefer the complete verification URL for the QR code", function() {
+    var data = {
+      verification_url: "https://www.google.com/device",
+      verification_uri_complete: "https://www.google.com/device?user_code=ABCD-EFGH",
+      user_code: "ABCD-EFGH"
+    };
+    var presented = GoogleDeviceAuth.presentUserCode(data);
+    expect(presented).to.contain(GoogleDeviceAuth.renderQrCode(data.verification_uri_complete));
+    expect(presented).to.contain("enter the code ABCD-EFGH");
+  });
+
+  it("should fall back to plain text", function() {
+    var presented = GoogleDeviceAuth.presentUserCode({
+      verification_url: "https://www.google.com/device",
+      user_code: "ABCD-EFGH"
+    }, { qr: false });
+    expect(presented).to.equal("To authorise this device, visit https://www.google.com/device and enter the code ABCD-EFGH");
+  });
+
+});
+
+
+describe("Fake Google server", function() {
+
+  it("should only be loaded when it is first used", function() {
+    var script = "require('./lib/auth'); console.log(Object.keys(require.cache).some(function(file) { return /fakeserver/.test(file); }));";
+    var output = childProcess.execFileSync(process.execPath, ["-e", script], { cwd: path.join(__dirname, ".."), encoding: "utf8" });
+    expect(output.trim()).to.equal("false");
+    expect(GoogleDeviceAuth.FakeGoogleServer).to.be(require("../lib/fakeserver"));
+  });
+
+  beforeEach(function(done) {
+    this.server = new GoogleDeviceAuth.FakeGoogleServer({ interval: 0.001 });
+    this.auth = new GoogleDeviceAuth({
+      clientId: "testid",
+      clientSecret: "testsecret",
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
+      accountsUrl: "http://localhost",
+      requestRetryDelay: 0.001
+    });
+    this.auth.on("error", function() {});
+    this.server.listen((function(err) {
+      this.auth.options.accountsUrl = this.server.url;
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.auth.cancel();
+    this.server.close(done);
+  });
+
+  it("should complete the device flow after scripted pending and slow_down polls", function() {
+    var server = this.server;
+    server.script("token", "pending", "slow_down", "pending");
+    //Keep the test fast despite slow_down adding 5 seconds to the interval
+    this.auth._schedulePoll = function() {
+      this._pollTimer = setTimeout(this._pollAuthEndpoint.bind(this), 1);
+    };
+    return this.auth.authenticate().then(function(data) {
+      expect(data.access_token).to.match(/^fake-access-/);
+      expect(data.refresh_token).to.match(/^fake-refresh-/);
+      expect(data.scope).to.equal("https://www.googleapis.com/auth/drive.file");
+      var endpoints = _.pluck(server.requests, "endpoint");
+      expect(endpoints).to.eql(["code", "token", "token", "token", "token"]);
+      expect(server.requests[1].form.grant_type).to.equal("urn:ietf:params:oauth:grant-type:device_code");
+    });
+  });
+
+  it("should emit an access denied error when denial is scripted", function(done) {
+    var auth = this.auth;
+    this.server.script("token", "denied");
+    auth.on(GoogleDeviceAuth.events.errors.accessDenied, function() {
+      done();
+    });
+    auth.auth();
+  });
+
+  it("should refresh tokens and reject revoked refresh tokens", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "stored-refresh";
+    return auth.refreshAsync().then(function(data) {
+      expect(data.access_token).to.match(/^fake-access-/);
+      return auth.revokeAsync();
+    }).then(function() {
+      var rejected = new Promise(function(resolve) {
+        auth.once(GoogleDeviceAuth.events.errors.invalidRefreshToken, resolve);
+      });
+      auth.options.autoAttemptReAuth = false;
+      auth.options.refreshToken = "stored-refresh";
+      auth.refresh();
+      return rejected;
+    });
+  });
+
+  it("should answer scripted invalid_grant and recover from scripted 5xx responses", function() {
+    var auth = this.auth;
+    var server = this.server;
+    auth.options.refreshToken = "stored-refresh";
+    auth.options.autoAttemptReAuth = false;
+    server.script("refresh", "server_error", "unavailable");
+    return auth.refreshAsync().then(function() {
+      expect(server.requests.length).to.equal(3);
+      server.script("refresh", "invalid_grant");
+      return auth.refreshAsync().then(function() {
+        throw new Error("Expected rejection");
+      }, function(err) {
+        expect(err.code).to.equal("invalid_refresh_token");
+      });
+    });
+  });
+
+  it("should describe issued access tokens", function() {
+    var auth = this.auth;
+    auth.options.refreshToken = "stored-refresh";
+    return auth.refreshAsync().then(function() {
+      return auth.getTokenInfo();
+    }).then(function(info) {
+      expect(info.aud).to.equal("testid");
+      expect(Number(info.expires_in)).to.be.greaterThan(3500);
+    });
+  });
+
+  it("should reject unknown endpoints and behaviours when scripting", function() {
+    var server = this.server;
+    expect(function() {
+      server.script("userinfo", "pending");
+    }).to.throwError(/Unknown endpoint/);
+    expect(function() {
+      server.script("token", "exploded");
+    }).to.throwError(/Unknown behaviour/);
+  });
+
+});
+
+
+describe("Incremental authorization", function() {
+
+  var drive = "https://www.googleapis.com/auth/drive.file";
+  var email = "https://www.googleapis.com/auth/userinfo.email";
+
+  beforeEach(function(done) {
+    this.server = new GoogleDeviceAuth.FakeGoogleServer({ interval: 0.001 });
+    this.server.listen((function(err) {
+      this.auth.options.accountsUrl = this.server.url;
+      this.auth.options.transport = GoogleDeviceAuth.createTransport();
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.server.close(done);
+  });
+
+  it("should resolve without a device flow if the scopes are already granted", function() {
+    var server = this.server;
+    this.auth.authData = { access_token: "token", scope: drive + " email" };
+    return this.auth.ensureScopes(["email", drive]).then(function(result) {
+      expect(result.added).to.eql([]);
+      expect(result.granted).to.eql([drive, email]);
+      expect(server.requests).to.eql([]);
+    });
+  });
+
+  it("should run the device flow for the union of granted and new scopes", function() {
+    var auth = this.auth;
+    var server = this.server;
+    var added;
+    auth.on(GoogleDeviceAuth.events.scopesAdded, function(data) {
+      added = data.added;
+    });
+    return auth.authenticate().then(function(data) {
+      expect(data.scope).to.equal(drive);
+      return auth.ensureScopes(["email"]);
+    }).then(function(result) {
+      expect(result.added).to.eql([email]);
+      expect(result.granted).to.eql([drive, email]);
+      expect(added).to.eql([email]);
+      expect(server.requests[2].form.scope).to.equal(drive + " email");
+      expect(auth.options.scopes).to.eql([drive, "email"]);
+      expect(auth.authData.scope).to.equal(drive + " email");
+      expect(auth.options.refreshToken).to.equal(auth.authData.refresh_token);
+    });
+  });
+
+  it("should assume the requested scopes were granted to a refresh token without scope information", function() {
+    var server = this.server;
+    this.auth.options.refreshToken = "refresh";
+    return this.auth.ensureScopes([drive]).then(function(result) {
+      expect(result.added).to.eql([]);
+      expect(server.requests).to.eql([]);
+    });
+  });
+
+  it("should reject with the device flow error", function() {
+    this.auth.authData = { access_token: "token", scope: drive };
+    this.server.script("token", "denied");
+    return this.auth.ensureScopes(["email"]).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("access_denied");
+    });
+  });
+
+  it("should not keep scopes that were not granted", function() {
+    var auth = this.auth;
+    var server = this.server;
+    var narrowed = false;
+    auth.on(GoogleDeviceAuth.events.errors.scopesNarrowed, function() {
+      narrowed = true;
+    });
+    return auth.authenticate().then(function() {
+      server.script("token", "denied");
+      return auth.ensureScopes(["email"]);
+    }).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("access_denied");
+      expect(auth.options.scopes).to.eql([drive]);
+      return auth.refreshAsync();
+    }).then(function() {
+      expect(narrowed).to.equal(false);
+      expect(_.last(server.requests).endpoint).to.equal("refresh");
+    });
+  });
+
+  it("should resolve even if the new grant cannot be written to the store", function() {
+    var auth = this.auth;
+    var storeErrors = [];
+    auth.authData = { access_token: "token", scope: drive };
+    auth.options.store = {
+      get: function() {
+        return null;
+      },
+      set: function() {
+        throw new Error("disk full");
+      },
+      clear: function() {}
+    };
+    auth.on(GoogleDeviceAuth.events.errors.storeError, function(err) {
+      storeErrors.push(err);
+    });
+    return auth.ensureScopes(["email"]).then(function(result) {
+      expect(result.added).to.eql([email]);
+      expect(storeErrors.length).to.equal(1);
+    });
+  });
+
+  it("should not report scopes for ordinary authentications", function() {
+    var auth = this.auth;
+    var reported = false;
+    auth.on(GoogleDeviceAuth.events.scopesAdded, function() {
+      reported = true;
+    });
+    return this.auth.ensureScopes(["email"]).then(function() {
+      reported = false;
+      return auth.refreshAsync();
+    }).then(function() {
+      expect(reported).to.equal(false);
+    });
+  });
+
+});
+
+
+describe("Logging and instrumentation", function() {
+
+  beforeEach(function(done) {
+    var test = this;
+    this.logged = [];
+    this.logger = {
+      debug: function() {
+        test.logged.push(["debug"].concat(_.toArray(arguments)));
+      },
+      warn: function() {
+        test.logged.push(["warn"].concat(_.toArray(arguments)));
+      }
+    };
+    this.server = new GoogleDeviceAuth.FakeGoogleServer({ interval: 0.001 });
+    this.server.listen((function(err) {
+      this.auth = new GoogleDeviceAuth({
+        clientId: "testid",
+        clientSecret: "testsecret",
+        scopes: ["https://www.googleapis.com/auth/drive.file"],
+        accountsUrl: this.server.url,
+        requestRetryDelay: 0.001,
+        logger: this.logger
+      });
+      this.auth.on("error", function() {});
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.server.close(done);
+  });
+
+  it("should log the device flow without secrets", function() {
+    var test = this;
+    var deviceCode;
+    this.server.script("token", "pending");
+    this.auth.on(GoogleDeviceAuth.events.userCode, function(data) {
+      deviceCode = data.device_code;
+    });
+    return this.auth.authenticate().then(function(data) {
+      var log = JSON.stringify(test.logged);
+      expect(log).to.contain("Polling for token");
+      expect(log).to.contain("Access token received");
+      expect(log).to.contain("[REDACTED]");
+      _.each(["testsecret", deviceCode, data.access_token, data.refresh_token], function(secret) {
+        expect(log).not.to.contain(secret);
+      });
+    });
+  });
+
+  it("should emit request start and finish events with status and duration", function() {
+    var started = [];
+    var finished = [];
+    this.auth.on(GoogleDeviceAuth.events.requestStart, function(data) {
+      started.push(data);
+    });
+    this.auth.on(GoogleDeviceAuth.events.requestFinish, function(data) {
+      finished.push(data);
+    });
+    this.auth.options.refreshToken = "refresh";
+    return this.auth.refreshAsync().then(function() {
+      return this.auth.getTokenInfo();
+    }.bind(this)).then(function() {
+      expect(_.pluck(started, "id")).to.eql([1, 2]);
+      expect(started[0].method).to.equal("POST");
+      expect(finished[0].status).to.equal(200);
+      expect(finished[0].duration).to.be.a("number");
+      expect(finished[1].url).to.match(/\/tokeninfo\?access_token=\[REDACTED\]$/);
+    });
+  });
+
+  it("should count poll attempts", function() {
+    var attempts = [];
+    this.server.script("token", "pending", "pending");
+    this.auth.on(GoogleDeviceAuth.events.pollAttempt, function(data) {
+      attempts.push(data.attempt);
+    });
+    return this.auth.authenticate().then(function() {
+      expect(attempts).to.eql([1, 2, 3]);
+    });
+  });
+
+  it("should log retries and errors as warnings", function() {
+    var test = this;
+    this.auth.options.refreshToken = "refresh";
+    this.auth.options.autoAttemptReAuth = false;
+    this.server.script("refresh", "server_error", "invalid_grant");
+    return this.auth.refreshAsync().then(function() {
+      throw new Error("Expected rejection");
+    }, function() {
+      var warnings = _.map(_.where(test.logged, { 0: "warn" }), function(entry) {
+        return entry[1];
+      });
+      expect(warnings).to.eql([
+        "google-device-auth: Retrying request",
+        "google-device-auth: Error: invalid_refresh_token"
+      ]);
+    });
+  });
+
+  it("should redact secrets from options, forms, errors and URLs", function() {
+    var err = new Error("connection refused");
+    err.code = "ECONNREFUSED";
+    var redacted = GoogleDeviceAuth.redact({
+      clientSecret: "secret",
+      form: { client_id: "testid", refresh_token: "refresh" },
+      headers: { authorization: "Bearer token" },
+      error: err,
+      url: "https://oauth2.googleapis.com/tokeninfo?access_token=token",
+      store: new GoogleDeviceAuth.MemoryStore({ refresh_token: "refresh" })
+    });
+    expect(redacted).to.eql({
+      clientSecret: "[REDACTED]",
+      form: { client_id: "testid", refresh_token: "[REDACTED]" },
+      headers: { authorization: "[REDACTED]" },
+      error: { message: "connection refused", code: "ECONNREFUSED" },
+      url: "https://oauth2.googleapis.com/tokeninfo?access_token=[REDACTED]",
+      store: "[MemoryStore]"
+    });
+  });
+
+});
+
+
+describe("Auth state", function() {
+
+  beforeEach(function(done) {
+    this.server = new GoogleDeviceAuth.FakeGoogleServer({ interval: 0.001 });
+    this.server.listen((function(err) {
+      this.auth.options.accountsUrl = this.server.url;
+      this.auth.options.transport = GoogleDeviceAuth.createTransport();
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.auth.cancel();
+    this.server.close(done);
+  });
+
+  function recordStates(auth) {
+    var recorded = [];
+    auth.on(GoogleDeviceAuth.events.stateChange, function(change) {
+      recorded.push(change.state);
+    });
+    return recorded;
+  }
+
+  it("should start idle, or authorised if a refresh token is available", function() {
+    expect(this.auth.getState()).to.equal(GoogleDeviceAuth.states.idle);
+    var auth = new GoogleDeviceAuth({ refreshToken: "refresh" });
+    expect(auth.getState()).to.equal(GoogleDeviceAuth.states.authorised);
+  });
+
+  it("should move through the device flow states", function() {
+    var auth = this.auth;
+    var recorded = recordStates(auth);
+    this.server.script("token", "pending");
+    return auth.authenticate().then(function() {
+      expect(recorded).to.eql([
+        "requesting_user_code",
+        "waiting_for_user",
+        "polling",
+        "waiting_for_user",
+        "polling",
+        "authorised"
+      ]);
+      expect(auth.getState()).to.equal("authorised");
+    });
+  });
+
+  it("should report refreshing and return to authorised", function() {
+    var recorded = recordStates(this.auth);
+    this.auth.options.refreshToken = "refresh";
+    return this.auth.refreshAsync().then(function() {
+      expect(recorded).to.eql(["refreshing", "authorised"]);
+    });
+  });
+
+  it("should join an authentication in progress instead of starting another poll loop", function() {
+    var server = this.server;
+    this.server.script("token", "pending", "pending");
+    var first = this.auth.authenticate();
+    var second = this.auth.authenticate();
+    this.auth.auth();
+    return Promise.all([first, second]).then(function(results) {
+      expect(results[0].access_token).to.equal(results[1].access_token);
+      expect(_.where(server.requests, { endpoint: "code" }).length).to.equal(1);
+      expect(_.where(server.requests, { endpoint: "token" }).length).to.equal(3);
+    });
+  });
+
+  it("should join a refresh in progress", function() {
+    var server = this.server;
+    this.auth.options.refreshToken = "refresh";
+    return Promise.all([this.auth.refreshAsync(), this.auth.refreshAsync(), this.auth.authenticate()]).then(function() {
+      expect(server.requests.length).to.equal(1);
+    });
+  });
+
+  it("should refuse to add scopes while another authentication is in progress", function() {
+    var auth = this.auth;
+    var pending = auth.authenticate();
+    return auth.ensureScopes(["email"]).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("auth_in_progress");
+      expect(err.data.state).to.equal("requesting_user_code");
+      return pending;
+    }).then(function(data) {
+      expect(data.access_token).to.match(/^fake-access-/);
+    });
+  });
+
+  it("should emit an auth in progress error from addScopes without ending the request in progress", function(done) {
+    var auth = this.auth;
+    auth.once(GoogleDeviceAuth.events.errors.authInProgress, function() {
+      expect(auth.getState()).to.equal("requesting_user_code");
+      auth.once(GoogleDeviceAuth.events.authSuccess, function() {
+        done();
+      });
+    });
+    auth.auth();
+    auth.addScopes(["email"]);
+  });
+
+  it("should not end the request in progress when an unrelated call fails", function() {
+    var auth = this.auth;
+    var server = this.server;
+    var lookups = [];
+    this.server.script("token", "pending");
+    auth.on(GoogleDeviceAuth.events.stateChange, function(change) {
+      if (change.state === "polling") {
+        lookups.push(auth.getTokenInfo().then(null, function(err) {
+          expect(err.code).to.equal("missing_token");
+          expect(auth.getState()).to.equal("polling");
+        }));
+      }
+    });
+    return auth.authenticate().then(function() {
+      expect(lookups.length).to.be.greaterThan(0);
+      expect(_.where(server.requests, { endpoint: "code" }).length).to.equal(1);
+      return Promise.all(lookups);
+    });
+  });
+
+  it("should return to the resting state when cancelled", function() {
+    var auth = this.auth;
+    var pending = auth.authenticate();
+    auth.cancel();
+    return pending.then(function() {
+      throw new Error("Expected rejection");
+    }, function() {
+      expect(auth.getState()).to.equal("idle");
+    });
+  });
+
+  it("should start a device flow when a rejected refresh triggers re-authentication", function() {
+    var auth = this.auth;
+    var recorded = recordStates(auth);
+    auth.options.refreshToken = "refresh";
+    this.server.script("refresh", "invalid_grant");
+    return auth.refreshAsync().then(function() {
+      expect(recorded).to.eql([
+        "refreshing",
+        "idle",
+        "requesting_user_code",
+        "waiting_for_user",
+        "polling",
+        "authorised"
+      ]);
+    });
+  });
+
+});
+
+
+describe("Service accounts", function() {
+
+  before(function() {
+    var pair = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" }
+    });
+    this.publicKey = pair.publicKey;
+    this.serviceAccount = {
+      type: "service_account",
+      client_email: "robot@project.iam.gserviceaccount.com",
+      private_key_id: "key1",
+      private_key: pair.privateKey
+    };
+  });
+
+  beforeEach(function(done) {
+    this.server = new GoogleDeviceAuth.FakeGoogleServer();
+    this.server.listen((function(err) {
+      this.auth = new GoogleDeviceAuth({
+        serviceAccount: this.serviceAccount,
+        scopes: ["https://www.googleapis.com/auth/drive.file"],
+        accountsUrl: this.server.url
+      });
+      this.auth.on("error", function() {});
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.server.close(done);
+  });
+
+  it("should exchange a signed RS256 assertion for an access token", function() {
+    var test = this;
+    var authSuccess = false;
+    this.auth.on(GoogleDeviceAuth.events.authSuccess, function() {
+      authSuccess = true;
+    });
+    return this.auth.authenticate().then(function(data) {
+      expect(authSuccess).to.equal(true);
+      expect(data.access_token).to.match(/^fake-access-/);
+      expect(test.auth.authData.access_token).to.equal(data.access_token);
+      expect(test.auth.authData.expires_at).to.be.greaterThan(Date.now());
+      expect(test.auth.getState()).to.equal("authorised");
+
+      var form = test.server.requests[0].form;
+      expect(form.grant_type).to.equal("urn:ietf:params:oauth:grant-type:jwt-bearer");
+      var jwt = idtoken.decode(form.assertion);
+      expect(jwt.header).to.eql({ alg: "RS256", typ: "JWT", kid: "key1" });
+      expect(jwt.payload.iss).to.equal("robot@project.iam.gserviceaccount.com");
+      expect(jwt.payload.aud).to.equal(test.server.url + "/token");
+      expect(jwt.payload.scope).to.equal("https://www.googleapis.com/auth/drive.file");
+      expect(jwt.payload.exp - jwt.payload.iat).to.equal(3600);
+      expect(jwt.payload.sub).to.be(undefined);
+      expect(crypto.createVerify("RSA-SHA256").update(jwt.signingInput).verify(test.publicKey, jwt.signature)).to.equal(true);
+    });
+  });
+
+  it("should add the subject for domain-wide delegation", function() {
+    var server = this.server;
+    this.auth.options.subject = "user@example.com";
+    return this.auth.authenticate().then(function() {
+      expect(idtoken.decode(server.requests[0].form.assertion).payload.sub).to.equal("user@example.com");
+    });
+  });
+
+  it("should sign a new assertion when refreshing", function() {
+    var server = this.server;
+    var events = [];
+    this.auth.on(GoogleDeviceAuth.events.newAccessToken, function() {
+      events.push("newAccessToken");
+    });
+    return this.auth.authenticate().then(function() {
+      return this.auth.refreshAsync();
+    }.bind(this)).then(function() {
+      expect(_.pluck(server.requests, "endpoint")).to.eql(["assertion", "assertion"]);
+      expect(events).to.eql(["newAccessToken", "newAccessToken"]);
+    });
+  });
+
+  it("should emit an invalid service account error for unusable keys", function() {
+    this.auth.options.serviceAccount = { client_email: "robot@project.iam.gserviceaccount.com", private_key: "not a key" };
+    return this.auth.authenticate().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("invalid_service_account");
+    });
+  });
+
+  it("should emit a google error when the assertion is rejected", function() {
+    this.server.script("assertion", { status: 400, body: { error: "unauthorized_client" } });
+    return this.auth.authenticate().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("google_error");
+      expect(err.data.error).to.equal("unauthorized_client");
+    });
+  });
+
+});
+
+
+describe("Shared token files", function() {
+
+  beforeEach(function() {
+    this.path = path.join(os.tmpdir(), "google-device-auth-shared-" + process.pid + ".json");
+    this.lockPath = this.path + ".refresh.lock";
+  });
+
+  afterEach(function() {
+    new GoogleDeviceAuth.FileStore(this.path).clear();
+    _.each([this.path + ".lock", this.lockPath], function(lockPath) {
+      if (fs.existsSync(lockPath)) {
+        fs.unlinkSync(lockPath);
+      }
+    });
+  });
+
+  describe("FileLock", function() {
+
+    function writeOwner(lockPath, owner) {
+      fs.writeFileSync(lockPath, JSON.stringify(owner));
+    }
+
+    it("should only be held by one lock at a time", function() {
+      var first = new FileLock(this.lockPath);
+      var second = new FileLock(this.lockPath);
+      expect(first.tryAcquire()).to.equal(true);
+      expect(second.tryAcquire()).to.equal(false);
+      first.release();
+      expect(fs.existsSync(this.lockPath)).to.equal(false);
+      expect(second.tryAcquire()).to.equal(true);
+      second.release();
+    });
+
+    it("should take over a lock left by a process that has exited", function() {
+      var deadPid = childProcess.spawnSync(process.execPath, ["-e", ""]).pid;
+      writeOwner(this.lockPath, { pid: deadPid, hostname: os.hostname(), created: Date.now() });
+      var lock = new FileLock(this.lockPath);
+      expect(lock.tryAcquire()).to.equal(false);
+      expect(lock.tryAcquire()).to.equal(true);
+      lock.release();
+    });
+
+    it("should not take over a lock held by a running process on this machine, however old", function() {
+      writeOwner(this.lockPath, { pid: process.pid, hostname: os.hostname(), created: 0 });
+      var old = new Date(Date.now() - 3600 * 1000);
+      fs.utimesSync(this.lockPath, old, old);
+      var lock = new FileLock(this.lockPath);
+      expect(lock.tryAcquire()).to.equal(false);
+      expect(lock.tryAcquire()).to.equal(false);
+    });
+
+    it("should take over a lock from another machine once it is older than staleTime", function() {
+      writeOwner(this.lockPath, { pid: process.pid, hostname: "elsewhere", created: 0 });
+      var lock = new FileLock(this.lockPath, { staleTime: 60 });
+      expect(lock.tryAcquire()).to.equal(false);
+      var old = new Date(Date.now() - 61 * 1000);
+      fs.utimesSync(this.lockPath, old, old);
+      expect(lock.tryAcquire()).to.equal(false);
+      expect(lock.tryAcquire()).to.equal(true);
+      lock.release();
+    });
+
+    it("should give up waiting after the timeout", function(done) {
+      var holder = new FileLock(this.lockPath);
+      holder.tryAcquire();
+      new FileLock(this.lockPath, { timeout: 0.05, retryInterval: 10 }).acquire(function(err) {
+        holder.release();
+        expect(err.code).to.equal("ELOCKTIMEOUT");
+        done();
+      });
+    });
+
+  });
+
+  describe("FileStore locking", function() {
+
+    it("should not leave lock files behind after writes", function() {
+      var store = new GoogleDeviceAuth.FileStore(this.path, { lock: true });
+      store.set({ refresh_token: "refresh" });
+      store.clear();
+      expect(fs.existsSync(this.path + ".lock")).to.equal(false);
+    });
+
+    it("should make a second lock() wait until the first is released", function(done) {
+      var first = new GoogleDeviceAuth.FileStore(this.path, { lock: true });
+      var second = new GoogleDeviceAuth.FileStore(this.path, { lock: true });
+      var released = false;
+      first.lock(function(err, release) {
+        expect(err).to.be(null);
+        second.lock(function(err, releaseSecond) {
+          expect(released).to.equal(true);
+          releaseSecond();
+          done();
+        });
+        setTimeout(function() {
+          released = true;
+          release();
+        }, 100);
+      });
+    });
+
+    it("should hold the write lock between the read and the write of an update", function() {
+      var store = new GoogleDeviceAuth.FileStore(this.path, { lock: true });
+      var lockPath = this.path + ".lock";
+      store.set({ first: { refresh_token: "first" } });
+      store.update(function(data) {
+        expect(fs.existsSync(lockPath)).to.equal(true);
+        return _.extend(data, { second: { refresh_token: "second" } });
+      });
+      expect(_.keys(store.get())).to.eql(["first", "second"]);
+      expect(fs.existsSync(lockPath)).to.equal(false);
+    });
+
+    it("should read and write account entries under one lock, through encryption", function() {
+      var fileStore = new GoogleDeviceAuth.FileStore(this.path, { lock: true });
+      var lockPath = this.path + ".lock";
+      var encrypted = new GoogleDeviceAuth.EncryptedStore(fileStore, { key: crypto.randomBytes(32) });
+      var readsUnderLock = [];
+      var get = fileStore.get;
+      fileStore.get = function() {
+        readsUnderLock.push(fs.existsSync(lockPath));
+        return get.call(this);
+      };
+      new GoogleDeviceAuth.AccountStore(encrypted, "first").set({ refresh_token: "first" });
+      new GoogleDeviceAuth.AccountStore(encrypted, "second").set({ refresh_token: "second" });
+      new GoogleDeviceAuth.AccountStore(encrypted, "first").clear();
+      expect(readsUnderLock).to.eql([true, true, true]);
+      expect(encrypted.get()).to.eql({ second: { refresh_token: "second" } });
+    });
+
+    it("should call back straight away without the lock option", function(done) {
+      new GoogleDeviceAuth.FileStore(this.path).lock(function(err, release) {
+        expect(err).to.be(null);
+        release();
+        done();
+      });
+    });
+
+  });
+
+  describe("refresh", function() {
+
+    beforeEach(function(done) {
+      var test = this;
+      new GoogleDeviceAuth.FileStore(this.path).set({ refresh_token: "shared" });
+      this.server = new GoogleDeviceAuth.FakeGoogleServer();
+      this.server.listen(function(err) {
+        test.createAuth = function() {
+          var auth = new GoogleDeviceAuth({
+            clientId: "testid",
+            clientSecret: "testsecret",
+            scopes: ["https://www.googleapis.com/auth/drive.file"],
+            accountsUrl: test.server.url,
+            requestRetries: 0,
+            store: new GoogleDeviceAuth.FileStore(test.path, { lock: true })
+          });
+          auth.on("error", function() {});
+          return auth;
+        };
+        done(err);
+      });
+    });
+
+    afterEach(function(done) {
+      this.server.close(done);
+    });
+
+    it("should refresh once and let the other instance use the stored token", function() {
+      var server = this.server;
+      var first = this.createAuth();
+      var second = this.createAuth();
+      return Promise.all([first.refreshAsync(), second.refreshAsync()]).then(function(results) {
+        expect(_.pluck(server.requests, "endpoint")).to.eql(["refresh"]);
+        expect(results[1].access_token).to.equal(results[0].access_token);
+        expect(second.authData.access_token).to.equal(first.authData.access_token);
+        expect(second.authData.expires_at).to.be.greaterThan(Date.now());
+        expect(second.getState()).to.equal("authorised");
+      });
+    });
+
+    it("should release the lock when the refresh fails", function() {
+      var lockPath = this.lockPath;
+      this.server.script("refresh", "server_error");
+      return this.createAuth().refreshAsync().then(function() {
+        throw new Error("Expected rejection");
+      }, function(err) {
+        expect(err.code).to.equal("http_error");
+        expect(fs.existsSync(lockPath)).to.equal(false);
+      });
+    });
+
+    it("should release the lock if cancelled while waiting for it", function(done) {
+      var lockPath = this.lockPath;
+      var server = this.server;
+      var auth = this.createAuth();
+      new GoogleDeviceAuth.FileStore(this.path, { lock: true }).lock(function(err, release) {
+        auth.refresh();
+        expect(auth.getState()).to.equal("refreshing");
+        expect(auth.cancel()).to.equal(true);
+        release();
+        setTimeout(function() {
+          expect(fs.existsSync(lockPath)).to.equal(false);
+          expect(server.requests.length).to.equal(0);
+          done();
+        }, 200);
+      });
+    });
+
+  });
+
+});
+
+
+describe("Scope catalogue", function() {
+
+  var scopes = GoogleDeviceAuth.scopes;
+
+  beforeEach(function() {
+    var requests = this.requests = [];
+    this.auth.options.transport = function(options) {
+      requests.push(options);
+    };
+  });
+
+  it("should resolve catalogue aliases but leave Google's own short names alone", function() {
+    expect(scopes.resolveScopes(["drive.file", "youtube.readonly", "email", "openid"])).to.eql([
+      "https://www.googleapis.com/auth/drive.file",
+      "https://www.googleapis.com/auth/youtube.readonly",
+      "email",
+      "openid"
+    ]);
+    expect(scopes.expandScopes(["email", "profile"])).to.eql([
+      "https://www.googleapis.com/auth/userinfo.email",
+      "https://www.googleapis.com/auth/userinfo.profile"
+    ]);
+  });
+
+  it("should tell disallowed scopes apart from unknown ones", function() {
+    expect(scopes.checkScopes(["drive.file", "email", "https://www.googleapis.com/auth/youtube"])).to.eql({ disallowed: [], unknown: [] });
+    expect(scopes.checkScopes(["drive", "https://www.googleapis.com/auth/gmail.readonly", "drive.fle", "profile"])).to.eql({
+      disallowed: ["drive", "https://www.googleapis.com/auth/gmail.readonly"],
+      unknown: ["drive.fle"]
+    });
+  });
+
+  it("should emit an unsupported scopes error listing the scopes before making any request", function(done) {
+    var test = this;
+    this.auth.options.scopes = ["drive.file", "https://www.googleapis.com/auth/drive", "calendar.readonly", "https://example.com/auth/custom"];
+    this.auth.on(GoogleDeviceAuth.events.errors.unsupportedScopes, function(err) {
+      expect(err.code).to.equal("unsupported_scopes");
+      expect(err.data.disallowed).to.eql(["https://www.googleapis.com/auth/drive", "calendar.readonly"]);
+      expect(err.data.unknown).to.eql(["https://example.com/auth/custom"]);
+      expect(test.requests).to.have.length(0);
+      expect(test.auth.getState()).to.equal("idle");
+      done();
+    });
+    this.auth.auth();
+  });
+
+  it("should request the full URLs of aliased scopes", function() {
+    this.auth.options.scopes = ["drive.file", "openid", "email"];
+    this.auth.auth();
+    expect(this.requests[0].form.scope).to.equal("https://www.googleapis.com/auth/drive.file openid email");
+  });
+
+  it("should not check scopes when validateScopes is false", function() {
+    this.auth.options.scopes = ["https://example.com/auth/custom"];
+    this.auth.options.validateScopes = false;
+    this.auth.auth();
+    expect(this.requests[0].form.scope).to.equal("https://example.com/auth/custom");
+  });
+
+  it("should check scopes passed to addScopes", function() {
+    var test = this;
+    return this.auth.ensureScopes(["gmail.send"]).then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("unsupported_scopes");
+      expect(err.data.disallowed).to.eql(["gmail.send"]);
+      expect(test.requests).to.have.length(0);
+      expect(test.auth.options.scopes).to.eql(["https://www.googleapis.com/auth/drive.file"]);
+    });
+  });
+
+  it("should not check scopes for service accounts", function() {
+    var test = this;
+    var pair = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 1024,
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+      publicKeyEncoding: { type: "spki", format: "pem" }
+    });
+    this.auth.options.serviceAccount = { client_email: "robot@project.iam.gserviceaccount.com", private_key: pair.privateKey };
+    this.auth.options.scopes = ["cloud-platform"];
+    this.auth.auth();
+    expect(test.requests).to.have.length(1);
+    expect(idtoken.decode(test.requests[0].form.assertion).payload.scope).to.equal("https://www.googleapis.com/auth/cloud-platform");
+  });
+
+});
+
+
+describe("Loopback flow", function() {
+
+  //Follows the authorisation URL like a browser would: Google redirects back to the loopback listener
+  function browse(target, callback) {
+    http.get(target, function(res) {
+      var body = "";
+      res.setEncoding("utf8");
+      res.on("data", function(chunk) {
+        body += chunk;
+      });
+      res.on("end", function() {
+        if (res.statusCode === 302) {
+          return browse(res.headers.location, callback);
+        }
+        callback(null, { status: res.statusCode, body: body });
+      });
+    }).on("error", callback);
+  }
+
+  beforeEach(function(done) {
+    this.server = new GoogleDeviceAuth.FakeGoogleServer();
+    this.server.listen((function(err) {
+      this.auth = new GoogleDeviceAuth({
+        clientId: "testid",
+        clientSecret: "testsecret",
+        //Not allowed in the device flow
+        scopes: ["https://www.googleapis.com/auth/drive"],
+        flow: "loopback",
+        accountsUrl: this.server.url,
+        authorizeUrl: this.server.url + "/o/oauth2/v2/auth"
+      });
+      this.auth.on("error", function() {});
+      done(err);
+    }).bind(this));
+  });
+
+  afterEach(function(done) {
+    this.auth.cancel();
+    this.server.close(done);
+  });
+
+  it("should receive the redirect and exchange the code with the PKCE verifier", function() {
+    var test = this;
+    var page, authUrl;
+    this.auth.on(GoogleDeviceAuth.events.authUrl, function(data) {
+      authUrl = data;
+      expect(test.auth.getState()).to.equal("waiting_for_user");
+      browse(data.url, function(err, response) {
+        page = response;
+      });
+    });
+    return this.auth.authenticate().then(function(data) {
+      expect(data.access_token).to.match(/^fake-access-/);
+      expect(data.refresh_token).to.match(/^fake-refresh-/);
+      expect(test.auth.options.refreshToken).to.equal(data.refresh_token);
+      expect(test.auth.getState()).to.equal("authorised");
+
+      var query = require("url").parse(authUrl.url, true).query;
+      expect(authUrl.redirect_uri).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(query.redirect_uri).to.equal(authUrl.redirect_uri);
+      expect(query.scope).to.equal("https://www.googleapis.com/auth/drive");
+      expect(query.code_challenge_method).to.equal("S256");
+      var form = _.findWhere(test.server.requests, { endpoint: "exchange" }).form;
+      expect(form.redirect_uri).to.equal(authUrl.redirect_uri);
+      expect(idtoken.base64UrlEncode(crypto.createHash("sha256").update(form.code_verifier).digest())).to.equal(query.code_challenge);
+      expect(page.body).to.contain("Authorisation complete");
+
+      return new Promise(function(resolve) {
+        http.get(authUrl.redirect_uri, function() {
+          throw new Error("Listener should be closed");
+        }).on("error", function(err) {
+          expect(err.code).to.equal("ECONNREFUSED");
+          resolve();
+        });
+      });
+    });
+  });
+
+  it("should emit an access denied error if the user declines", function() {
+    this.server.script("authorize", "denied");
+    this.auth.on(GoogleDeviceAuth.events.authUrl, function(data) {
+      browse(data.url, function() {});
+    });
+    return this.auth.authenticate().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("access_denied");
+    });
+  });
+
+  it("should turn away requests without the expected state and keep waiting", function(done) {
+    var auth = this.auth;
+    auth.on(GoogleDeviceAuth.events.authUrl, function(data) {
+      browse(data.redirect_uri + "/?code=planted&state=forged", function(err, response) {
+        expect(response.status).to.equal(400);
+        expect(auth.getState()).to.equal("waiting_for_user");
+        auth.cancel();
+        expect(auth.getState()).to.equal("idle");
+        done();
+      });
+    });
+    auth.auth();
+  });
+
+  it("should emit an authorization timeout if no redirect arrives", function(done) {
+    this.auth.options.loopbackTimeout = 0.01;
+    this.auth.on(GoogleDeviceAuth.events.errors.authorizationTimeout, function() {
+      done();
+    });
+    this.auth.auth();
+  });
+
+  it("should emit a loopback error if the port is in use", function(done) {
+    this.auth.options.loopbackPort = Number(this.server.url.split(":")[2]);
+    this.auth.on(GoogleDeviceAuth.events.errors.loopbackError, function(err) {
+      expect(err.data.code).to.equal("EADDRINUSE");
+      done();
+    });
+    this.auth.auth();
+  });
+
+  it("should emit a google error if the code exchange fails", function() {
+    this.server.script("exchange", "invalid_grant");
+    this.auth.on(GoogleDeviceAuth.events.authUrl, function(data) {
+      browse(data.url, function() {});
+    });
+    return this.auth.authenticate().then(function() {
+      throw new Error("Expected rejection");
+    }, function(err) {
+      expect(err.code).to.equal("google_error");
+      expect(err.data.error).to.equal("invalid_grant");
+    });
+  });
+
+});
+
+
+describe("Token model", function() {
+
+  var Token = GoogleDeviceAuth.Token;
+
+  it("should record the absolute expiry and scopes of a token response", function() {
+    var token = new Token({
+      access_token: "access",
+      token_type: "Bearer",
+      expires_in: 3600,
+      scope: "openid https://www.googleapis.com/auth/drive.file"
+    }, 1000000);
+    expect(token.access_token).to.equal("access");
+    expect(token.token_type).to.equal("Bearer");
+    expect(token.expires_in).to.equal(3600);
+    expect(token.expires_at).to.equal(1000000 + 3600 * 1000);
+    expect(token.expiresAt).to.equal(token.expires_at);
+    expect(token.scopes).to.eql(["openid", "https://www.googleapis.com/auth/drive.file"]);
+  });
+
+  it("should report expiry with an optional skew", function() {
+    var token = new Token({ access_token: "access", expires_in: 30 });
+    expect(token.isExpired()).to.equal(false);
+    expect(token.isExpired(60)).to.equal(true);
+    expect(new Token({ access_token: "access", expires_in: 30 }, Date.now() - 31000).isExpired()).to.equal(true);
+    expect(new Token({ access_token: "access" }).isExpired(60)).to.equal(false);
+    expect(new Token({ expires_in: 3600 }).isExpired()).to.equal(true);
+  });
+
+  it("should round trip through JSON, recalculating expires_in", function() {
+    var token = new Token({ access_token: "access", refresh_token: "refresh", expires_in: 3600, scope: "email" }, Date.now() - 600 * 1000);
+    var json = JSON.parse(JSON.stringify(token));
+    expect(json).to.eql({ access_token: "access", refresh_token: "refresh", scope: "email", expires_at: token.expires_at });
+
+    var restored = Token.fromJSON(JSON.stringify(token));
+    expect(restored).to.be.a(Token);
+    expect(restored.expires_at).to.equal(token.expires_at);
+    expect(restored.expiresAt).to.equal(token.expires_at);
+    expect(restored.expires_in).to.be.within(2999, 3000);
+    expect(restored.scopes).to.eql(["email"]);
+    expect(restored.toJSON()).to.eql(json);
+  });
+
+  it("should read stored auth data, which uses the same expires_at timestamp", function() {
+    var expiresAt = Date.now() + 60000;
+    var token = Token.fromJSON({ access_token: "access", expires_at: expiresAt, expires_in: 3600 });
+    expect(token.expires_at).to.equal(expiresAt);
+    expect(token.expires_in).to.be.within(59, 60);
+    expect(token.toJSON()).to.eql({ access_token: "access", expires_at: expiresAt });
+  });
+
+  it("should deliver the same token to authSuccess and newAccessToken", function(done) {
+    var auth = this.auth;
+    var authToken;
+    auth.on(GoogleDeviceAuth.events.authSuccess, function(token) {
+      authToken = token;
+    });
+    auth.on(GoogleDeviceAuth.events.newAccessToken, function(token) {
+      expect(token).to.be.a(Token);
+      expect(token.refresh_token).to.equal("refresh");
+      expect(token.isExpired()).to.equal(false);
+      setImmediate(function() {
+        expect(authToken).to.be(token);
+        expect(auth.authData.expires_at).to.equal(token.expires_at);
+        expect(auth.authData.expires_in).to.equal(3600);
+        done();
+      });
+    });
+    auth._acceptTokenResponse({ access_token: "access", refresh_token: "refresh", expires_in: 3600 }, GoogleDeviceAuth.events.authSuccess);
+  });
+
+  it("should carry the refresh token over to refreshed tokens", function(done) {
+    var auth = this.auth;
+    auth.options.refreshToken = "refresh";
+    auth.on(GoogleDeviceAuth.events.refreshSuccess, function(token) {
+      expect(token).to.be.a(Token);
+      expect(token.access_token).to.equal("fresh");
+      expect(token.refresh_token).to.equal("refresh");
+      expect(token.expires_at).to.be.greaterThan(Date.now());
+      done();
+    });
+    auth._handleRefreshResponse({ access_token: "fresh", expires_in: 3600 });
+  });
+
+});